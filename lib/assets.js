@@ -0,0 +1,128 @@
+// lib/assets.js
+// Content-addressed image store under DATA_DIR/assets. Icons are decoded,
+// checked by magic bytes and size, saved as <sha256>.<ext> and referenced
+// from items as /assets/<sha256>.<ext> instead of inline data: URLs.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_BYTES = 1_000_000;
+const MAX_DIMENSION = 1024;
+const MIN_DIMENSION = 16;
+const GC_GRACE_MS = 60 * 60 * 1000; // never collect files younger than this
+const TYPES = { png: 'image/png', jpg: 'image/jpeg', webp: 'image/webp' };
+const REF_RE = /^\/assets\/([a-f0-9]{64})\.(png|jpg|webp)$/;
+const FILE_RE = /^([a-f0-9]{64})\.(png|jpg|webp)$/;
+const DATA_URL_RE = /^data:image\/[a-z0-9.+-]+;base64,/i;
+
+const isAssetRef = s => REF_RE.test(String(s || ''));
+const isDataUrl = s => DATA_URL_RE.test(String(s || ''));
+
+// file type from magic bytes; the declared data: mime type is not trusted
+function sniff(buf) {
+  if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpg';
+  if (buf.length >= 16 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+function dimensions(buf, ext) {
+  if (ext === 'png' && buf.length >= 24) return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  if (ext === 'jpg') {
+    // walk segments to the first start-of-frame marker
+    let i = 2;
+    while (i + 9 < buf.length) {
+      if (buf[i] !== 0xff) return null;
+      const marker = buf[i + 1];
+      const len = buf.readUInt16BE(i + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+      }
+      i += 2 + len;
+    }
+    return null;
+  }
+  if (ext === 'webp' && buf.length >= 30) {
+    const chunk = buf.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const b = buf.subarray(21, 25);
+      return { width: 1 + (((b[1] & 0x3f) << 8) | b[0]), height: 1 + (((b[3] & 0x0f) << 10) | (b[2] << 2) | ((b[1] & 0xc0) >> 6)) };
+    }
+    if (chunk === 'VP8X') return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+  }
+  return null;
+}
+
+/**
+ * Decode and check an image data: URL without touching disk.
+ * `limits: false` skips the upload size and dimension checks (for icons that
+ * were accepted before they existed); the type must still be one we serve.
+ * Returns { buffer, ext, hash }; throws with a user-facing message.
+ */
+function decodeDataUrl(dataUrl, { limits = true } = {}) {
+  const str = String(dataUrl || '');
+  if (!isDataUrl(str)) throw new Error('Icon must be a base64 data:image URL');
+  const buffer = Buffer.from(str.slice(str.indexOf(',') + 1), 'base64');
+  if (!buffer.length) throw new Error('Icon image is empty');
+  const ext = sniff(buffer);
+  if (!ext) throw new Error('Icon must be a PNG, JPEG or WebP image');
+  if (!limits) return { buffer, ext, hash: crypto.createHash('sha256').update(buffer).digest('hex') };
+  if (buffer.length > MAX_BYTES) throw new Error(`Icon image must be at most ${Math.round(MAX_BYTES / 1000)} KB`);
+  const dims = dimensions(buffer, ext);
+  if (!dims) throw new Error('Icon image could not be read');
+  if (dims.width > MAX_DIMENSION || dims.height > MAX_DIMENSION) throw new Error(`Icon must be at most ${MAX_DIMENSION}×${MAX_DIMENSION} pixels`);
+  if (dims.width < MIN_DIMENSION || dims.height < MIN_DIMENSION) throw new Error(`Icon must be at least ${MIN_DIMENSION}×${MIN_DIMENSION} pixels`);
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  return { buffer, ext, hash };
+}
+
+function createAssetStore(dataDir) {
+  const dir = path.join(dataDir, 'assets');
+
+  // store a data: URL (deduplicated by content) and return its /assets/ reference
+  async function saveDataUrl(dataUrl, options) {
+    const { buffer, ext, hash } = decodeDataUrl(dataUrl, options);
+    const name = `${hash}.${ext}`;
+    const file = path.join(dir, name);
+    try {
+      // reused: touch it so a GC sweep racing this write still sees it as new (see GC_GRACE_MS)
+      const now = new Date();
+      await fs.utimes(file, now, now);
+    } catch {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, buffer);
+      await fs.rename(tmp, file);
+    }
+    return `/assets/${name}`;
+  }
+
+  // { file, type, hash } for a request path name, or null if not a valid asset name
+  function resolve(name) {
+    const m = FILE_RE.exec(String(name || ''));
+    return m ? { file: path.join(dir, name), type: TYPES[m[2]], hash: m[1] } : null;
+  }
+
+  // delete stored files not in `referenced` (a Set of /assets/ refs); returns removed names
+  async function gc(referenced) {
+    let names;
+    try { names = await fs.readdir(dir); }
+    catch { return []; }
+    const removed = [];
+    for (const name of names) {
+      if (!FILE_RE.test(name) || referenced.has(`/assets/${name}`)) continue;
+      const file = path.join(dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      if (!stat || Date.now() - stat.mtimeMs < GC_GRACE_MS) continue;
+      await fs.unlink(file).catch(() => {});
+      removed.push(name);
+    }
+    return removed;
+  }
+
+  return { dir, saveDataUrl, resolve, gc };
+}
+
+module.exports = { isAssetRef, isDataUrl, decodeDataUrl, createAssetStore };
@@ -0,0 +1,107 @@
+// lib/audit.js
+// Append-only audit trail kept in db.audit. Item entries carry a snapshot of
+// the item as of that revision (for deletes: as it was when deleted) and, for
+// edits, `previous`: the item just before it. Either is what
+// /api/gpts/:id/restore puts back.
+
+const crypto = require('crypto');
+
+const AUDIT_LIMIT = 5000; // oldest entries are dropped past this (see trim)
+const IGNORED_FIELDS = ['id'];
+
+const clone = v => (v == null ? null : JSON.parse(JSON.stringify(v)));
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// short, non-reversible reference to a session token
+function sessionRef(token) {
+  return token ? crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 12) : null;
+}
+
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    if (IGNORED_FIELDS.includes(k)) continue;
+    const from = before ? before[k] : undefined;
+    const to = after ? after[k] : undefined;
+    if (!same(from, to)) changes[k] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  }
+  return changes;
+}
+
+// name an item update after what it did, so the log reads like the admin buttons
+function itemAction(before, after) {
+  const fields = Object.keys(diff(before, after));
+  if (fields.length === 1 && fields[0] === 'featured') return after.featured ? 'feature' : 'unfeature';
+  if (fields.length === 1 && fields[0] === 'status') {
+    if (before.status === 'pending' && after.status === 'live') return 'approve';
+    if (after.status === 'hidden') return 'hide';
+    if (after.status === 'live') return 'unhide';
+  }
+  return 'update';
+}
+
+/**
+ * Append an entry. `before`/`after` are the item (or category) states around
+ * the change; either may be null for creates and deletes.
+ */
+function record(db, { actor, action, itemId = null, category = null, before = null, after = null, note = null }) {
+  if (!Array.isArray(db.audit)) db.audit = [];
+  const entry = {
+    id: crypto.randomUUID(),
+    at: Date.now(),
+    actor: (actor && actor.user) || 'system',
+    session: (actor && actor.session) || null,
+    action,
+    itemId,
+    category,
+    title: (after || before || {}).title || (after || before || {}).name || null,
+    changes: diff(before, after),
+    snapshot: clone(after || before),
+  };
+  // so an item that predates the log can still go back to how it was before its first edit
+  if (itemId && before && after) entry.previous = clone(before);
+  if (note) entry.note = note;
+  db.audit.push(entry);
+  trim(db);
+  return entry;
+}
+
+// drop the oldest entries past AUDIT_LIMIT, except the delete entry of each item
+// that is still deleted: its snapshot is the only way to bring the item back
+function trim(db) {
+  let excess = db.audit.length - AUDIT_LIMIT;
+  if (excess <= 0) return;
+  const existing = new Set((db.items || []).map(i => i.id));
+  const keep = new Set();
+  const seen = new Set();
+  for (let i = db.audit.length - 1; i >= 0; i--) {
+    const e = db.audit[i];
+    if (!e.itemId || seen.has(e.itemId)) continue;
+    seen.add(e.itemId);
+    if (e.action === 'delete' && !existing.has(e.itemId)) keep.add(e);
+  }
+  db.audit = db.audit.filter(e => {
+    if (excess <= 0 || keep.has(e)) return true;
+    excess--;
+    return false;
+  });
+}
+
+// newest first; snapshots stay server-side
+function list(db, { itemId = '', action = '', limit = 100, offset = 0 } = {}) {
+  const matches = (db.audit || []).filter(e =>
+    (!itemId || e.itemId === itemId) && (!action || e.action === action));
+  const entries = matches.reverse().slice(offset, offset + limit)
+    .map(({ snapshot, previous, ...rest }) => (previous ? { ...rest, hasPrevious: true } : rest));
+  return { entries, total: matches.length };
+}
+
+// { id, snapshot } of an item revision: the state after that change, or with `previous` the one before it
+function findRevision(db, itemId, revisionId, { previous = false } = {}) {
+  const entry = (db.audit || []).find(e => e.id === revisionId && e.itemId === itemId);
+  const snapshot = entry && (previous ? entry.previous : entry.snapshot);
+  return snapshot ? { id: entry.id, snapshot } : null;
+}
+
+module.exports = { AUDIT_LIMIT, sessionRef, diff, itemAction, record, list, findRevision };
@@ -0,0 +1,244 @@
+// lib/auth.js
+// Named admin accounts (scrypt-hashed passwords) and persistent sessions,
+// stored in DATA_DIR/auth.json. Session tokens are only kept as sha256 hashes.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['owner', 'editor', 'moderator'];
+// what each role may do; checked by server.js per route
+const PERMISSIONS = {
+  owner: ['users:manage', 'items:edit', 'items:moderate', 'items:read'],
+  editor: ['items:edit', 'items:moderate', 'items:read'],
+  moderator: ['items:moderate', 'items:read'],
+};
+const SESSION_TTL_MS = 12 * 3600 * 1000;
+const ROTATE_AFTER_MS = 3600 * 1000;
+const ROTATION_GRACE_MS = 60 * 1000; // old token keeps working briefly for in-flight requests
+const USERNAME_RE = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD = 8;
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+const can = (role, permission) => (PERMISSIONS[role] || []).includes(permission);
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function scrypt(password, salt, { N, r, p, keylen }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, keylen, { N, r, p, maxmem: 64 * 1024 * 1024 }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function checkPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), { N: +N, r: +r, p: +p, keylen: expected.length });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// validation for user create/update payloads; returns per-field errors or null
+function validateUser(input, { existing = null, passwordRequired = !existing } = {}) {
+  const errors = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { _: 'Expected a JSON object' };
+  for (const key of Object.keys(input)) if (!['username', 'password', 'role'].includes(key)) errors[key] = 'Unknown field';
+  if (!existing && !USERNAME_RE.test(String(input.username || ''))) {
+    errors.username = 'Username must be 3–32 characters: lowercase letters, digits, . _ -';
+  }
+  if (existing && input.username !== undefined && input.username !== existing.username) errors.username = 'Username cannot be changed';
+  if (input.password !== undefined || passwordRequired) {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD) {
+      errors.password = `Password must be at least ${MIN_PASSWORD} characters`;
+    }
+  }
+  if ((input.role !== undefined || !existing) && !ROLES.includes(input.role)) errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+  return Object.keys(errors).length ? errors : null;
+}
+
+const publicUser = u => ({ username: u.username, role: u.role, createdAt: u.createdAt });
+
+function createAuthStore(dataDir) {
+  const file = path.join(dataDir, 'auth.json');
+  let state = null;
+  let loading = null;
+  let saving = Promise.resolve();
+  // computed once so unknown usernames cost the same scrypt work as real ones
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  // read once (concurrent callers share the read); only a missing file means no accounts yet.
+  // Anything else throws: treating it as empty would re-create the owner over every account.
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        let data = {};
+        try {
+          data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (e) {
+          if (e.code !== 'ENOENT') throw new Error(`Could not read ${file}: ${e.message}`);
+        }
+        data.users = Array.isArray(data.users) ? data.users : [];
+        data.sessions = Array.isArray(data.sessions) ? data.sessions : [];
+        return (state = data);
+      })();
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  // serialized atomic write of the current state
+  function save() {
+    const snapshot = JSON.stringify(state, null, 2);
+    saving = saving.catch(() => {}).then(async () => {
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, file);
+    });
+    return saving;
+  }
+
+  function pruneSessions(now = Date.now()) {
+    const before = state.sessions.length;
+    state.sessions = state.sessions.filter(s => s.expiresAt > now);
+    return state.sessions.length !== before;
+  }
+
+  /**
+   * Create the first owner when there are no accounts yet. Without a password
+   * one is generated; a configured one must meet MIN_PASSWORD like any other.
+   * Returns false, or { generatedPassword } (null when one was given).
+   */
+  async function ensureOwner({ username, password = '' }) {
+    await load();
+    if (state.users.length) return false;
+    if (password && password.length < MIN_PASSWORD) throw new Error(`The owner password must be at least ${MIN_PASSWORD} characters`);
+    const generatedPassword = password ? null : crypto.randomBytes(12).toString('base64url');
+    state.users.push({ username, role: 'owner', passwordHash: await hashPassword(password || generatedPassword), createdAt: Date.now() });
+    await save();
+    return { generatedPassword };
+  }
+
+  // user record on success, null otherwise (same cost either way)
+  async function verifyPassword(username, password) {
+    await load();
+    const user = state.users.find(u => u.username === String(username || '').trim().toLowerCase());
+    const ok = await checkPassword(password, user ? user.passwordHash : await dummyHash);
+    return ok && user ? user : null;
+  }
+
+  async function createSession(username) {
+    await load();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    pruneSessions(now);
+    state.sessions.push({ id: hashToken(token), username, createdAt: now, expiresAt: now + SESSION_TTL_MS });
+    await save();
+    return token;
+  }
+
+  /**
+   * Resolve a token to { user, session, token }. Sessions older than
+   * ROTATE_AFTER_MS are replaced: the result then carries the new token.
+   */
+  async function getSession(token) {
+    if (!token) return null;
+    await load();
+    const now = Date.now();
+    const id = hashToken(token);
+    const session = state.sessions.find(s => s.id === id);
+    if (!session || session.expiresAt <= now) {
+      if (session && pruneSessions(now)) await save();
+      return null;
+    }
+    const user = state.users.find(u => u.username === session.username);
+    if (!user) return null;
+    if (!session.replacedAt && now - session.createdAt > ROTATE_AFTER_MS) {
+      // claimed before awaiting, so concurrent requests with this token don't rotate it again
+      session.replacedAt = now;
+      session.expiresAt = Math.min(session.expiresAt, now + ROTATION_GRACE_MS);
+      const next = await createSession(user.username);
+      return { user, session: state.sessions.find(s => s.id === hashToken(next)), token: next, rotated: true };
+    }
+    return { user, session, token, rotated: false };
+  }
+
+  async function revokeSession(token) {
+    await load();
+    const id = hashToken(token || '');
+    const before = state.sessions.length;
+    state.sessions = state.sessions.filter(s => s.id !== id);
+    if (state.sessions.length !== before) await save();
+  }
+
+  async function listUsers() {
+    await load();
+    return state.users.map(publicUser);
+  }
+
+  async function createUser(input) {
+    await load();
+    const errors = validateUser(input) || {};
+    if (errors._) return { errors };
+    const username = String(input.username || '').toLowerCase();
+    if (!errors.username && state.users.some(u => u.username === username)) errors.username = 'Username is taken';
+    if (Object.keys(errors).length) return { errors };
+    const user = { username, role: input.role, passwordHash: await hashPassword(input.password), createdAt: Date.now() };
+    state.users.push(user);
+    await save();
+    return { user: publicUser(user) };
+  }
+
+  async function updateUser(username, input) {
+    await load();
+    const user = state.users.find(u => u.username === username);
+    if (!user) return { notFound: true };
+    const errors = validateUser(input, { existing: user }) || {};
+    if (errors._) return { errors };
+    const owners = state.users.filter(u => u.role === 'owner');
+    if (!errors.role && input.role && input.role !== 'owner' && user.role === 'owner' && owners.length === 1) {
+      errors.role = 'There must be at least one owner';
+    }
+    if (Object.keys(errors).length) return { errors };
+    if (input.role) user.role = input.role;
+    if (input.password !== undefined) {
+      user.passwordHash = await hashPassword(input.password);
+      // a password change signs the user out everywhere
+      state.sessions = state.sessions.filter(s => s.username !== username);
+    }
+    await save();
+    return { user: publicUser(user) };
+  }
+
+  async function deleteUser(username) {
+    await load();
+    const user = state.users.find(u => u.username === username);
+    if (!user) return { notFound: true };
+    if (user.role === 'owner' && state.users.filter(u => u.role === 'owner').length === 1) {
+      return { errors: { username: 'Cannot delete the last owner' } };
+    }
+    state.users = state.users.filter(u => u !== user);
+    state.sessions = state.sessions.filter(s => s.username !== username);
+    await save();
+    return { user: publicUser(user) };
+  }
+
+  return {
+    SESSION_TTL_MS,
+    ensureOwner,
+    verifyPassword,
+    createSession,
+    getSession,
+    revokeSession,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+  };
+}
+
+module.exports = { ROLES, PERMISSIONS, can, createAuthStore };
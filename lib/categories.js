@@ -0,0 +1,173 @@
+// lib/categories.js
+// Managed category taxonomy stored in db.categories. Items keep category
+// display names, so renames and merges rewrite the affected items as well.
+
+// starting taxonomy (what both pages used to hardcode)
+const DEFAULT_CATEGORIES = [
+  'AI & Automation', 'Automation', 'Backend', 'Careers', 'Data', 'Design', 'Frameworks',
+  'Frontend', 'Humor', 'Interviews', 'Languages', 'Learning', 'Lifestyle', 'Philosophy',
+  'Productivity', 'Search', 'Security', 'Sports', 'Tools',
+];
+const FIELDS = ['slug', 'name', 'description', 'order', 'icon'];
+const LIMITS = { name: 40, slug: 60, description: 300, icon: 1000 };
+
+function slugify(name) {
+  return String(name || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\+/g, ' plus ')
+    .replace(/#/g, ' sharp ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, LIMITS.slug);
+}
+
+function sortCategories(categories) {
+  return categories.slice().sort((a, b) => (a.order - b.order) || a.name.localeCompare(b.name));
+}
+
+// build the initial taxonomy from the defaults plus whatever items already use
+function seedCategories(items) {
+  const names = new Map();
+  for (const n of DEFAULT_CATEGORIES) names.set(slugify(n), n);
+  for (const item of items) {
+    for (const n of item.categories || []) {
+      const slug = slugify(n);
+      if (slug && !names.has(slug)) names.set(slug, n);
+    }
+  }
+  return [...names]
+    .sort((a, b) => a[1].localeCompare(b[1]))
+    .map(([slug, name], i) => ({ slug, name, description: '', order: (i + 1) * 10, icon: '' }));
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function findBySlug(categories, slug) {
+  return categories.find(c => c.slug === slug) || null;
+}
+
+// exact slug/name match first, then the closest slug within a small edit distance
+function findCategory(categories, input) {
+  const slug = slugify(input);
+  if (!slug) return null;
+  const exact = findBySlug(categories, slug);
+  if (exact) return exact;
+  const maxDist = Math.max(1, Math.floor(slug.length / 4));
+  let best = null, bestDist = Infinity;
+  for (const c of categories) {
+    const d = levenshtein(slug, c.slug);
+    if (d < bestDist) { best = c; bestDist = d; }
+  }
+  return bestDist <= maxDist ? best : null;
+}
+
+// map free-form names onto taxonomy names; returns { names, unknown }
+function resolveCategories(categories, inputs) {
+  const names = [], unknown = [];
+  for (const input of inputs) {
+    const match = findCategory(categories, input);
+    if (!match) unknown.push(input);
+    else if (!names.includes(match.name)) names.push(match.name);
+  }
+  return { names, unknown };
+}
+
+function liveCounts(items) {
+  const counts = new Map();
+  for (const item of items) {
+    if (item.status !== 'live') continue;
+    for (const n of new Set(item.categories || [])) counts.set(n, (counts.get(n) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Validate a create/update payload. With `existing` the payload is partial.
+ * Returns { value, errors } like lib/item-model.js.
+ */
+function validateCategory(input, categories, { existing = null } = {}) {
+  const errors = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, errors: { _: 'Expected a JSON object' } };
+  }
+  for (const key of Object.keys(input)) if (!FIELDS.includes(key)) errors[key] = 'Unknown field';
+
+  const has = k => Object.prototype.hasOwnProperty.call(input, k);
+  const str = (k, label, max) => {
+    const v = input[k] == null ? '' : input[k];
+    if (typeof v !== 'string') { errors[k] = `${label} must be a string`; return ''; }
+    const s = v.trim();
+    if (s.length > max) errors[k] = `${label} must be at most ${max} characters`;
+    return s;
+  };
+
+  const value = {};
+  if (has('name') || !existing) {
+    value.name = str('name', 'Name', LIMITS.name);
+    if (!value.name && !errors.name) errors.name = 'Name is required';
+  }
+  if (has('slug') || (value.name && !existing) || (value.name && value.name !== existing.name)) {
+    value.slug = slugify(has('slug') ? str('slug', 'Slug', LIMITS.slug) : value.name);
+    if (!value.slug && !errors.slug) errors[has('slug') ? 'slug' : 'name'] = 'Name must contain letters or digits';
+  }
+  if (has('description') || !existing) value.description = str('description', 'Description', LIMITS.description);
+  if (has('icon') || !existing) {
+    value.icon = str('icon', 'Icon', LIMITS.icon);
+    if (value.icon && !/^https?:\/\//i.test(value.icon)) errors.icon = 'Icon must be an http(s) URL';
+  }
+  if (has('order')) {
+    if (!Number.isInteger(input.order)) errors.order = 'Order must be an integer';
+    else value.order = input.order;
+  } else if (!existing) {
+    value.order = categories.reduce((m, c) => Math.max(m, c.order || 0), 0) + 10;
+  }
+
+  const others = categories.filter(c => c !== existing);
+  if (value.slug && others.some(c => c.slug === value.slug)) errors.slug = 'A category with this slug already exists';
+  if (value.name && others.some(c => c.name.toLowerCase() === value.name.toLowerCase())) errors.name = 'A category with this name already exists';
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+// rewrite item category names in place (toName null removes the category);
+// returns [{ item, before }] for every item touched, before being a prior copy
+function replaceInItems(items, fromName, toName) {
+  const touched = [];
+  for (const item of items) {
+    const cats = item.categories || [];
+    if (!cats.includes(fromName)) continue;
+    const next = [];
+    for (const n of cats) {
+      const v = n === fromName ? toName : n;
+      if (v && !next.includes(v)) next.push(v);
+    }
+    touched.push({ item, before: { ...item, categories: cats } });
+    item.categories = next;
+  }
+  return touched;
+}
+
+module.exports = {
+  slugify,
+  sortCategories,
+  seedCategories,
+  findBySlug,
+  findCategory,
+  resolveCategories,
+  liveCounts,
+  validateCategory,
+  replaceInItems,
+};
@@ -0,0 +1,129 @@
+// lib/clicks.js
+// Outbound click counts for /go/:id, kept in db.clicks as daily buckets
+// ({ [itemId]: { 'YYYY-MM-DD': n } }). Repeat clicks are collapsed using a
+// salted hash of ip + user agent that only ever lives in memory.
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 3600 * 1000;
+const DEDUPE_MS = 30 * 60 * 1000;
+const TRENDING_DAYS = 7;
+const TRENDING_HALF_LIFE_DAYS = 2;
+const RETENTION_DAYS = 400;
+const BOT_RE = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless/i;
+
+const dayKey = ts => new Date(ts).toISOString().slice(0, 10);
+
+function createClickTracker() {
+  let salt = crypto.randomBytes(16);
+  let saltDay = dayKey(Date.now());
+  const recent = new Map(); // visitor|item hash -> last counted ts
+  let pending = new Map();  // itemId -> Map(day -> n), not yet written to db
+
+  function visitorKey(ip, ua, itemId) {
+    const today = dayKey(Date.now());
+    if (today !== saltDay) { salt = crypto.randomBytes(16); saltDay = today; recent.clear(); }
+    return crypto.createHmac('sha256', salt).update(`${ip}|${ua}|${itemId}`).digest('base64');
+  }
+
+  // count a click unless it's a bot or a repeat; returns true when counted
+  function hit(itemId, { ip = '', ua = '' } = {}) {
+    if (BOT_RE.test(ua)) return false;
+    const now = Date.now();
+    const key = visitorKey(ip, ua, itemId);
+    const last = recent.get(key);
+    if (last && now - last < DEDUPE_MS) return false;
+    recent.set(key, now);
+    if (recent.size > 50_000) {
+      for (const [k, ts] of recent) if (now - ts >= DEDUPE_MS) recent.delete(k);
+    }
+    const day = dayKey(now);
+    const buckets = pending.get(itemId) || new Map();
+    buckets.set(day, (buckets.get(day) || 0) + 1);
+    pending.set(itemId, buckets);
+    return true;
+  }
+
+  // hand over buffered counts (and forget them)
+  function drain() {
+    const out = pending;
+    pending = new Map();
+    return out;
+  }
+
+  // put drained counts back, e.g. when writing them failed
+  function restore(drained) {
+    for (const [itemId, buckets] of drained) {
+      const mine = pending.get(itemId) || new Map();
+      for (const [day, n] of buckets) mine.set(day, (mine.get(day) || 0) + n);
+      pending.set(itemId, mine);
+    }
+  }
+
+  return { hit, drain, restore, get size() { return pending.size; } };
+}
+
+// add drained counts to db.clicks and drop buckets past retention
+function applyClicks(db, drained, now = Date.now()) {
+  if (!db.clicks || typeof db.clicks !== 'object') db.clicks = {};
+  for (const [itemId, buckets] of drained) {
+    const days = db.clicks[itemId] || (db.clicks[itemId] = {});
+    for (const [day, n] of buckets) days[day] = (days[day] || 0) + n;
+  }
+  const cutoff = dayKey(now - RETENTION_DAYS * DAY_MS);
+  for (const days of Object.values(db.clicks)) {
+    for (const day of Object.keys(days)) if (day < cutoff) delete days[day];
+  }
+}
+
+function sumDays(days, fromDay, toDay) {
+  let total = 0;
+  for (const [day, n] of Object.entries(days || {})) if (day >= fromDay && day <= toDay) total += n;
+  return total;
+}
+
+/**
+ * Per-item ranking signals: `popular` (all retained clicks) and `trending`
+ * (last 7 days, each day weighted down by age with a 2-day half-life).
+ */
+function metrics(db, now = Date.now()) {
+  const out = new Map();
+  const today = dayKey(now);
+  for (const [itemId, days] of Object.entries(db.clicks || {})) {
+    let popular = 0, trending = 0;
+    for (const [day, n] of Object.entries(days)) {
+      popular += n;
+      const age = Math.round((Date.parse(today) - Date.parse(day)) / DAY_MS);
+      if (age >= 0 && age < TRENDING_DAYS) trending += n * Math.pow(0.5, age / TRENDING_HALF_LIFE_DAYS);
+    }
+    out.set(itemId, { popular, trending });
+  }
+  return out;
+}
+
+// daily series plus week-over-week movers, for the admin stats view
+function report(db, { days = 30, now = Date.now() } = {}) {
+  const dayList = [];
+  for (let i = days - 1; i >= 0; i--) dayList.push(dayKey(now - i * DAY_MS));
+  const titles = new Map(db.items.map(i => [i.id, i.title]));
+  const thisWeekFrom = dayKey(now - 6 * DAY_MS), today = dayKey(now);
+  const lastWeekFrom = dayKey(now - 13 * DAY_MS), lastWeekTo = dayKey(now - 7 * DAY_MS);
+
+  const items = [];
+  for (const [id, buckets] of Object.entries(db.clicks || {})) {
+    if (!titles.has(id)) continue;
+    const series = dayList.map(d => buckets[d] || 0);
+    const total = series.reduce((a, b) => a + b, 0);
+    const thisWeek = sumDays(buckets, thisWeekFrom, today);
+    const lastWeek = sumDays(buckets, lastWeekFrom, lastWeekTo);
+    if (total || lastWeek) items.push({ id, title: titles.get(id), total, series, thisWeek, lastWeek, change: thisWeek - lastWeek });
+  }
+  items.sort((a, b) => b.total - a.total);
+  const movers = items.filter(i => i.change !== 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, 10)
+    .map(({ series, ...rest }) => rest);
+  return { days: dayList, items, movers };
+}
+
+module.exports = { createClickTracker, applyClicks, metrics, report };
@@ -0,0 +1,105 @@
+// lib/collections.js
+// Curated collections in db.collections: a titled, ordered list of item ids
+// ("Learn web dev: HTML & CSS → JavaScript → React → TypeScript"). Like items
+// they are live or hidden, with optional publishAt / unpublishAt times.
+
+const { slugify } = require('./categories');
+const { isAssetRef } = require('./assets');
+const schedule = require('./schedule');
+
+const STATUSES = ['live', 'hidden'];
+const FIELDS = ['title', 'slug', 'description', 'cover', 'items', 'status', 'order', 'publishAt', 'unpublishAt'];
+const LIMITS = { title: 80, slug: 60, description: 500, cover: 1_500_000, items: 50 };
+const COVER_DATA_RE = /^data:image\/(png|jpeg|webp);base64,/i;
+
+const findById = (collections, id) => collections.find(c => c.id === id) || null;
+const findLiveBySlug = (collections, slug) => collections.find(c => c.slug === slug && c.status === 'live') || null;
+const sortCollections = collections => collections.slice().sort((a, b) => (a.order - b.order) || a.title.localeCompare(b.title));
+
+/**
+ * Validate a create/update payload against the other collections and the
+ * catalog (`items` = db.items, for the id list). With `existing` the payload
+ * is partial. Returns { value, errors } like lib/item-model.js.
+ */
+function validateCollection(input, collections, { existing = null, items = [] } = {}) {
+  const errors = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, errors: { _: 'Expected a JSON object' } };
+  }
+  for (const key of Object.keys(input)) if (!FIELDS.includes(key)) errors[key] = 'Unknown field';
+
+  const has = k => Object.prototype.hasOwnProperty.call(input, k);
+  const str = (k, label, max) => {
+    const v = input[k] == null ? '' : input[k];
+    if (typeof v !== 'string') { errors[k] = `${label} must be a string`; return ''; }
+    const s = v.trim();
+    if (s.length > max) errors[k] = `${label} must be at most ${max} characters`;
+    return s;
+  };
+
+  const value = {};
+  if (has('title') || !existing) {
+    value.title = str('title', 'Title', LIMITS.title);
+    if (!value.title && !errors.title) errors.title = 'Title is required';
+  }
+  if (has('slug') || (value.title && !existing)) {
+    value.slug = slugify(has('slug') && input.slug ? str('slug', 'Slug', LIMITS.slug) : value.title || existing.title);
+    if (!value.slug && !errors.slug) errors[has('slug') ? 'slug' : 'title'] = 'Title must contain letters or digits';
+  }
+  if (has('description') || !existing) value.description = str('description', 'Description', LIMITS.description);
+  if (has('cover') || !existing) {
+    // data: URLs are swapped for a stored /assets/ reference before saving, like item icons
+    value.cover = str('cover', 'Cover', LIMITS.cover);
+    if (value.cover && !(COVER_DATA_RE.test(value.cover) || /^https?:\/\//i.test(value.cover) || isAssetRef(value.cover))) {
+      errors.cover = 'Cover must be an http(s) URL or an uploaded image';
+    }
+  }
+  if (has('items') || !existing) {
+    const ids = input.items == null ? [] : input.items;
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+      errors.items = 'Items must be a list of item ids';
+    } else {
+      value.items = [...new Set(ids)];
+      const unknown = value.items.filter(id => !items.some(i => i.id === id));
+      if (value.items.length > LIMITS.items) errors.items = `At most ${LIMITS.items} items per collection`;
+      else if (unknown.length) errors.items = `Unknown item${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`;
+    }
+  }
+  if (has('status') || !existing) {
+    value.status = has('status') ? input.status : 'hidden';
+    if (!STATUSES.includes(value.status)) errors.status = `Status must be one of: ${STATUSES.join(', ')}`;
+  }
+  if (has('order')) {
+    if (!Number.isInteger(input.order)) errors.order = 'Order must be an integer';
+    else value.order = input.order;
+  } else if (!existing) {
+    value.order = collections.reduce((m, c) => Math.max(m, c.order || 0), 0) + 10;
+  }
+  for (const field of ['publishAt', 'unpublishAt']) {
+    if (!has(field)) continue;
+    value[field] = schedule.parseTime(input[field]);
+    if (value[field] === undefined) errors[field] = `${schedule.LABELS[field]} must be a date/time or null`;
+  }
+  if (!errors.publishAt && !errors.unpublishAt) Object.assign(errors, schedule.windowErrors({ ...existing, ...value }));
+
+  const others = collections.filter(c => c !== existing);
+  if (value.slug && others.some(c => c.slug === value.slug)) errors.slug = 'A collection with this slug already exists';
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+// public shape: live items only, in the curated order
+function publicView(collection, items) {
+  const byId = new Map(items.filter(i => i.status === 'live').map(i => [i.id, i]));
+  const { slug, title, description, cover } = collection;
+  return { slug, title, description, cover, items: collection.items.map(id => byId.get(id)).filter(Boolean) };
+}
+
+module.exports = {
+  STATUSES,
+  findById,
+  findLiveBySlug,
+  sortCollections,
+  validateCollection,
+  publicView,
+};
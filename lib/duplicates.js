@@ -0,0 +1,69 @@
+// lib/duplicates.js
+// Exact duplicates are the same ChatGPT `g-…` id; near-duplicates are items
+// whose title/description overlap enough that an admin should take a look.
+
+const { tokenize } = require('./search');
+const { gptIdFromUrl } = require('./item-model');
+
+const NEAR_THRESHOLD = 0.6;
+const MAX_FLAGS = 3;
+const SAME_ICON_BONUS = 0.1;
+// words too common in this catalog to say anything about sameness
+const STOPWORDS = new Set(['gpt', 'gpts', 'a', 'an', 'and', 'the', 'for', 'to', 'of', 'in', 'on', 'with', 'your', 'you']);
+
+const terms = text => new Set(tokenize(text).filter(t => !STOPWORDS.has(t)));
+
+function dice(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+// 0..1; titles dominate, descriptions and a shared icon add evidence
+function similarity(a, b) {
+  const title = dice(terms(a.title), terms(b.title));
+  const desc = dice(terms(a.desc), terms(b.desc));
+  const icon = a.icon && a.icon === b.icon ? SAME_ICON_BONUS : 0;
+  return Math.min(1, Math.max(title, (title + desc) / 2) + icon);
+}
+
+// first item (other than `self`) with the same GPT id and one of `statuses`
+function findExact(items, url, { statuses = ['live', 'pending', 'changes_requested'], self = null } = {}) {
+  const gid = gptIdFromUrl(url);
+  if (!gid) return null;
+  return items.find(i => i !== self && statuses.includes(i.status) && gptIdFromUrl(i.url) === gid) || null;
+}
+
+// [{ id, title, score }] best matches first, for flagging a pending item
+function findNear(items, candidate) {
+  return items
+    .filter(i => i.id !== candidate.id)
+    .map(i => ({ id: i.id, title: i.title, score: similarity(candidate, i) }))
+    .filter(m => m.score >= NEAR_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_FLAGS)
+    .map(m => ({ ...m, score: Math.round(m.score * 100) / 100 }));
+}
+
+// fold a duplicate into the item it duplicates: union lists, fill blanks, and
+// keep the source's tracking hash(es) so its submitter can still look it up
+function mergeInto(target, source, limits = { categories: 10, tags: 20 }) {
+  const union = (a, b, max) => {
+    const out = [...(a || [])];
+    for (const v of b || []) if (!out.some(x => x.toLowerCase() === v.toLowerCase())) out.push(v);
+    return out.slice(0, max);
+  };
+  const merged = {
+    ...target,
+    desc: target.desc || source.desc || '',
+    icon: target.icon || source.icon || '',
+    categories: union(target.categories, source.categories, limits.categories),
+    tags: union(target.tags, source.tags, limits.tags),
+  };
+  const hashes = [...(target.mergedTrackingHashes || []), source.trackingHash, ...(source.mergedTrackingHashes || [])].filter(Boolean);
+  if (hashes.length) merged.mergedTrackingHashes = [...new Set(hashes)];
+  return merged;
+}
+
+module.exports = { similarity, findExact, findNear, mergeInto };
@@ -0,0 +1,179 @@
+// lib/item-model.js
+// Single source of truth for what an item may contain. Every write path
+// (admin create/update, public submit) goes through validateItem() so the
+// same limits apply everywhere and errors come back per field.
+
+const { isDeepStrictEqual } = require('util');
+const { resolveCategories } = require('./categories');
+const { isAssetRef } = require('./assets');
+const schedule = require('./schedule');
+
+const STATUSES = ['live', 'hidden', 'pending', 'rejected', 'changes_requested'];
+const GPT_ID_RE = /^https:\/\/chatgpt\.com\/g\/(g-[a-z0-9]+)/i;
+// the whole link: the id, then an optional -slug, path, ?query or #hash of plain URL characters
+const GPT_URL_RE = /^https:\/\/chatgpt\.com\/g\/g-[a-z0-9]+(?:[-\w.~%/]*)(?:\?[-\w.~%=&+]*)?(?:#[-\w.~%=&+]*)?$/i;
+const ICON_DATA_RE = /^data:image\/(png|jpeg|webp);base64,/i;
+const LIMITS = {
+  title: 120,
+  url: 1000,
+  icon: 1_500_000,
+  desc: 800,
+  categories: 10, category: 40,
+  tags: 20, tag: 32,
+};
+
+// fields each write path may send; anything else is rejected
+const ADMIN_FIELDS = ['title', 'url', 'icon', 'desc', 'categories', 'tags', 'featured', 'status', ...schedule.FIELDS];
+const SUBMIT_FIELDS = ['title', 'url', 'icon', 'desc', 'categories', 'tags'];
+// server-managed fields: clients may echo them back but never change them
+const READ_ONLY_FIELDS = [
+  'id', 'createdAt', 'submittedBy', 'possibleDuplicates',
+  'trackingHash', 'mergedTrackingHashes', 'moderation', 'resubmittedAt', 'slug', 'publishedAt',
+];
+const REQUIRED_FIELDS = ['title', 'url'];
+// what the public API shows of an item; submitter, moderation and schedule data stay admin-side
+const PUBLIC_FIELDS = ['id', 'slug', 'title', 'url', 'icon', 'desc', 'categories', 'tags', 'featured', 'status', 'createdAt', 'publishedAt'];
+
+class FieldError extends Error {}
+const fail = msg => { throw new FieldError(msg); };
+
+function text(v, label, max, { required = false } = {}) {
+  if (v == null) v = '';
+  if (typeof v !== 'string') fail(`${label} must be a string`);
+  const s = v.trim();
+  if (required && !s) fail(`${label} is required`);
+  if (s.length > max) fail(`${label} must be at most ${max} characters`);
+  return s;
+}
+
+function list(v, label, maxItems, maxLen) {
+  if (v == null) return [];
+  if (!Array.isArray(v)) fail(`${label} must be a list`);
+  const out = [];
+  for (const entry of v) {
+    if (typeof entry !== 'string') fail(`${label} must only contain strings`);
+    const s = entry.trim();
+    if (!s) continue;
+    if (s.length > maxLen) fail(`Each ${label.toLowerCase()} entry must be at most ${maxLen} characters`);
+    if (!out.some(x => x.toLowerCase() === s.toLowerCase())) out.push(s);
+  }
+  if (out.length > maxItems) fail(`At most ${maxItems} ${label.toLowerCase()} allowed`);
+  return out;
+}
+
+const RULES = {
+  title: v => text(v, 'Title', LIMITS.title, { required: true }),
+  url: v => {
+    const s = text(v, 'ChatGPT link', LIMITS.url, { required: true });
+    if (!GPT_URL_RE.test(s)) fail('ChatGPT link must look like https://chatgpt.com/g/g-…');
+    return s;
+  },
+  icon: v => {
+    const s = text(v, 'Icon', LIMITS.icon);
+    // data: URLs are accepted here and swapped for a stored /assets/ reference before saving
+    if (s && !(ICON_DATA_RE.test(s) || /^https?:\/\//i.test(s) || isAssetRef(s))) {
+      fail('Icon must be an http(s) URL, an uploaded image or data:image/(png|jpeg|webp);base64 URL');
+    }
+    return s;
+  },
+  desc: v => text(v, 'Description', LIMITS.desc),
+  categories: (v, ctx) => {
+    const names = list(v, 'Categories', LIMITS.categories, LIMITS.category);
+    if (!ctx.categories) return names;
+    // map onto the managed taxonomy (closest match), reject what has no match
+    const { names: resolved, unknown } = resolveCategories(ctx.categories, names);
+    if (unknown.length) fail(`Unknown ${unknown.length > 1 ? 'categories' : 'category'}: ${unknown.join(', ')}`);
+    return resolved;
+  },
+  tags: v => list(v, 'Tags', LIMITS.tags, LIMITS.tag),
+  featured: v => {
+    if (typeof v !== 'boolean') fail('Featured must be true or false');
+    return v;
+  },
+  status: v => {
+    if (!STATUSES.includes(v)) fail(`Status must be one of: ${STATUSES.join(', ')}`);
+    return v;
+  },
+};
+// scheduled changes (lib/schedule.js): a time, or null to cancel
+for (const field of schedule.FIELDS) {
+  RULES[field] = v => {
+    const ms = schedule.parseTime(v);
+    if (ms === undefined) fail(`${schedule.LABELS[field]} must be a date/time or null`);
+    return ms;
+  };
+}
+
+/**
+ * Normalize and validate an item payload.
+ * `fields` lists what the caller may write; `existing` (on update) makes the
+ * payload partial and lets read-only fields be echoed back unchanged.
+ * `categories` is the taxonomy (db.categories) that category names must map to.
+ * Returns { value, errors } where errors maps field -> message (null if valid).
+ */
+function validateItem(input, { fields = ADMIN_FIELDS, existing = null, categories = null } = {}) {
+  const ctx = { categories };
+  const errors = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, errors: { _: 'Expected a JSON object' } };
+  }
+
+  for (const key of Object.keys(input)) {
+    if (fields.includes(key)) continue;
+    if (READ_ONLY_FIELDS.includes(key)) {
+      if (existing && isDeepStrictEqual(input[key], existing[key])) continue;
+      errors[key] = 'Field is read-only';
+    } else {
+      errors[key] = 'Unknown field';
+    }
+  }
+
+  const value = {};
+  for (const field of fields) {
+    const present = Object.prototype.hasOwnProperty.call(input, field);
+    if (!present && !(REQUIRED_FIELDS.includes(field) && !existing)) continue;
+    try {
+      value[field] = RULES[field](input[field], ctx);
+    } catch (e) {
+      if (!(e instanceof FieldError)) throw e;
+      errors[field] = e.message;
+    }
+  }
+
+  if (schedule.FIELDS.some(f => f in value)) Object.assign(errors, schedule.windowErrors({ ...existing, ...value }));
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+// the ChatGPT `g-…` identifier from a GPT link (stable across slug/?model= changes)
+function gptIdFromUrl(url) {
+  const m = GPT_ID_RE.exec(String(url || '').trim());
+  return m ? m[1].toLowerCase() : null;
+}
+
+// defaults for fields a create payload left out
+function withDefaults(value) {
+  return {
+    title: '', url: '', icon: '', desc: '',
+    categories: [], tags: [],
+    featured: false,
+    status: 'hidden',
+    ...value,
+  };
+}
+
+function publicView(item) {
+  const out = {};
+  for (const f of PUBLIC_FIELDS) if (item[f] !== undefined) out[f] = item[f];
+  return out;
+}
+
+module.exports = {
+  STATUSES,
+  ADMIN_FIELDS,
+  SUBMIT_FIELDS,
+  validateItem,
+  gptIdFromUrl,
+  withDefaults,
+  publicView,
+};
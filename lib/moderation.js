@@ -0,0 +1,123 @@
+// lib/moderation.js
+// Review workflow for public submissions: pending -> live (approved),
+// rejected or changes_requested, and back to pending when the submitter
+// resubmits. Submitters follow along with a secret tracking token; only its
+// sha256 is stored on the item (`trackingHash`).
+
+const crypto = require('crypto');
+
+// canned reasons offered in the admin queue; the moderator note adds detail
+const REASONS = {
+  duplicate: 'Duplicate of a GPT that is already listed',
+  broken_link: 'The ChatGPT link does not open a public GPT',
+  off_topic: 'Not a fit for this catalog',
+  low_quality: 'Title or description needs more detail',
+  wrong_category: 'Categories do not match what the GPT does',
+  policy: 'Violates the content policy',
+  other: 'Other (see note)',
+};
+const NOTE_MAX = 1000;
+
+// action -> [statuses it may start from, resulting status]
+const TRANSITIONS = {
+  approve: [['pending', 'changes_requested'], 'live'],
+  reject: [['pending', 'changes_requested'], 'rejected'],
+  request_changes: [['pending'], 'changes_requested'],
+  resubmit: [['pending', 'changes_requested'], 'pending'],
+};
+const ACTIONS = ['approve', 'reject', 'request_changes'];
+const RESUBMITTABLE = TRANSITIONS.resubmit[0];
+// the only statuses a plain edit may switch between; submissions move through transition()
+const EDITABLE_STATUSES = ['live', 'hidden'];
+
+// what the submitter sees for each item status
+const PUBLIC_STATUS = {
+  pending: 'pending',
+  live: 'approved',
+  hidden: 'unlisted',
+  rejected: 'rejected',
+  changes_requested: 'changes_requested',
+};
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function createTrackingToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashToken(token) };
+}
+
+// the submission a token belongs to; with `merged`, also the item it was merged into
+function findByToken(items, token, { merged = false } = {}) {
+  if (!token) return null;
+  const hash = hashToken(token);
+  return items.find(i => i.trackingHash === hash) ||
+    (merged && items.find(i => (i.mergedTrackingHashes || []).includes(hash))) || null;
+}
+
+// check a moderator decision payload; returns { value, errors }
+function validateDecision(input) {
+  const errors = {};
+  const body = input && typeof input === 'object' ? input : {};
+  const action = String(body.action || '');
+  const reason = body.reason == null || body.reason === '' ? null : String(body.reason);
+  const note = typeof body.note === 'string' ? body.note.trim() : '';
+  if (!ACTIONS.includes(action)) errors.action = `Action must be one of: ${ACTIONS.join(', ')}`;
+  if (reason && !REASONS[reason]) errors.reason = 'Unknown reason';
+  if (action !== 'approve' && !reason && !note) errors.reason = 'Pick a reason or write a note for the submitter';
+  if (note.length > NOTE_MAX) errors.note = `Note must be at most ${NOTE_MAX} characters`;
+  return Object.keys(errors).length ? { value: null, errors } : { value: { action, reason, note }, errors: null };
+}
+
+/**
+ * Apply an action to an item. Returns the updated item, or throws with a
+ * user-facing message when the item's status does not allow the action.
+ */
+function transition(item, action, { reason = null, note = '', by = null, now = Date.now() } = {}) {
+  const [from, to] = TRANSITIONS[action] || [];
+  if (!to) throw new Error(`Unknown action: ${action}`);
+  if (!from.includes(item.status)) throw new Error(`Cannot ${action.replace('_', ' ')} an item that is ${item.status.replace('_', ' ')}`);
+  const next = { ...item, status: to };
+  if (action === 'resubmit') next.resubmittedAt = now;
+  else next.moderation = { action, reason, note, by, at: now };
+  return next;
+}
+
+// message when an edit tries to change status outside live <-> hidden, else null
+function statusEditError(from, to) {
+  if (to === undefined || to === from) return null;
+  if (!EDITABLE_STATUSES.includes(from)) return 'Submissions change status through approve, reject or request changes';
+  if (!EDITABLE_STATUSES.includes(to)) return `Status can only be changed to ${EDITABLE_STATUSES.join(' or ')}`;
+  return null;
+}
+
+// the submitter's view of their submission (no admin-only fields)
+function publicView(item) {
+  const m = item.moderation;
+  return {
+    status: PUBLIC_STATUS[item.status] || 'pending',
+    canResubmit: RESUBMITTABLE.includes(item.status),
+    submittedAt: item.createdAt,
+    resubmittedAt: item.resubmittedAt || null,
+    feedback: m && m.action !== 'approve'
+      ? { action: m.action, reason: m.reason ? REASONS[m.reason] : null, note: m.note || '', at: m.at }
+      : null,
+    item: {
+      id: item.status === 'live' ? item.id : null,
+      title: item.title, url: item.url, icon: item.icon, desc: item.desc,
+      categories: item.categories, tags: item.tags,
+    },
+  };
+}
+
+module.exports = {
+  REASONS,
+  ACTIONS,
+  RESUBMITTABLE,
+  EDITABLE_STATUSES,
+  statusEditError,
+  createTrackingToken,
+  findByToken,
+  validateDecision,
+  transition,
+  publicView,
+};
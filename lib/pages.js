@@ -0,0 +1,205 @@
+// lib/pages.js
+// Server-rendered public pages (/gpt/:slug, /category/:slug), the Atom and
+// JSON feeds and sitemap.xml. Pure string rendering: callers pass the items
+// and a `site` object ({ url, name, home }); `url` is the absolute base URL,
+// or '' for site-relative links on pages.
+
+const { slugify } = require('./categories');
+
+const esc = (s = '') => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+// JSON inside <script> must not be able to close the tag
+const jsonForScript = v => JSON.stringify(v).replace(/</g, '\\u003c');
+const iso = ts => new Date(ts).toISOString();
+
+const itemUrl = (site, item) => `${site.url}/gpt/${encodeURIComponent(item.slug)}`;
+const goUrl = (site, item) => `${site.url}/go/${encodeURIComponent(item.id)}`;
+const categoryUrl = (site, category) => `${site.url}/category/${encodeURIComponent(category.slug)}`;
+// stored uploads are site-relative /assets/ paths
+const iconUrl = (site, icon) => (icon && icon.startsWith('/assets/') ? `${site.url}${icon}` : icon || '');
+const summary = (text, max = 200) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+const STYLE = `
+  :root{--bg:#050815;--card:#0e162f;--text:#e6ecff;--muted:#a9b4c7;--stroke:#16213a}
+  *{box-sizing:border-box} body{margin:0;font-family:Inter,ui-sans-serif,system-ui;background:var(--bg);color:var(--text);line-height:1.5}
+  a{color:#9cc2ff} .container{width:94%;max-width:960px;margin:0 auto}
+  .topbar{border-bottom:1px solid var(--stroke);padding:14px 0} .brand{font-weight:800;color:inherit;text-decoration:none}
+  .hero{display:flex;gap:20px;align-items:flex-start;margin:32px 0}
+  .icon{width:96px;height:96px;border-radius:20px;border:1px solid var(--stroke);object-fit:cover;flex:none;background:#0b152c}
+  h1{margin:0 0 8px;font-size:28px} .muted{color:var(--muted);font-size:14px}
+  .btn{display:inline-block;background:#2c57c7;border:1px solid #2e53b7;padding:10px 16px;border-radius:12px;color:#fff;text-decoration:none;font-weight:700}
+  .chips{display:flex;flex-wrap:wrap;gap:8px;margin:12px 0;padding:0;list-style:none}
+  .chip{border:1px solid var(--stroke);background:#0e1936;border-radius:999px;padding:4px 10px;font-size:13px;color:#d7e3ff;text-decoration:none}
+  .grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(220px,1fr));gap:14px;margin:16px 0 40px}
+  .card{display:flex;gap:12px;background:var(--card);border:1px solid var(--stroke);border-radius:16px;padding:12px;color:inherit;text-decoration:none}
+  .card img{width:40px;height:40px;border-radius:10px;object-fit:cover;flex:none}
+  .card b{display:block} .card span{color:var(--muted);font-size:13px}`;
+
+function layout(site, { title, description, canonical, head = '', body }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${esc(title)}</title>
+  <meta name="description" content="${esc(description)}">
+  <meta name="color-scheme" content="dark">
+  ${canonical ? `<link rel="canonical" href="${esc(canonical)}">` : ''}
+  <link rel="alternate" type="application/atom+xml" title="${esc(site.name)} — new GPTs" href="${esc(site.url)}/feed.xml">
+  <link rel="alternate" type="application/feed+json" title="${esc(site.name)} — new GPTs" href="${esc(site.url)}/feed.json">
+  ${head}
+  <style>${STYLE}</style>
+</head>
+<body>
+  <header class="topbar"><div class="container"><a class="brand" href="${esc(site.home)}">${esc(site.name)}</a></div></header>
+  <main class="container">
+${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+function cardsHtml(site, items) {
+  return `<div class="grid">${items.map(i => `
+      <a class="card" href="${esc(itemUrl(site, i))}">
+        ${i.icon ? `<img src="${esc(iconUrl(site, i.icon))}" alt="" loading="lazy">` : ''}
+        <div><b>${esc(i.title)}</b><span>${esc(summary(i.desc || '', 90))}</span></div>
+      </a>`).join('')}
+    </div>`;
+}
+
+/**
+ * Detail page for one live item, with OpenGraph/Twitter tags, JSON-LD and
+ * related GPTs. `categories` (db.categories) maps category names to pages;
+ * `rating` is the item's visitor rating summary, if any (lib/ratings.js).
+ */
+function itemPage(site, item, { related: relatedItems = [], categories = [], rating = null } = {}) {
+  const categoryFor = name => categories.find(c => c.name === name) || { slug: slugify(name) };
+  const url = itemUrl(site, item);
+  const description = summary(item.desc || `${item.title} — a custom GPT on ${site.name}.`);
+  const image = iconUrl(site, item.icon);
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'SoftwareApplication',
+    name: item.title,
+    description: item.desc || undefined,
+    url,
+    image: image || undefined,
+    applicationCategory: (item.categories || [])[0] || undefined,
+    keywords: (item.tags || []).join(', ') || undefined,
+    operatingSystem: 'ChatGPT',
+    datePublished: item.publishedAt ? iso(item.publishedAt) : undefined,
+    offers: { '@type': 'Offer', price: '0', priceCurrency: 'USD' },
+    aggregateRating: rating && rating.count
+      ? { '@type': 'AggregateRating', ratingValue: rating.avg, ratingCount: rating.count, bestRating: 5, worstRating: 1 }
+      : undefined,
+  };
+  const meta = [
+    ['og:type', 'website'], ['og:site_name', site.name], ['og:title', item.title],
+    ['og:description', description], ['og:url', url], ['og:image', image],
+  ].filter(([, v]) => v).map(([k, v]) => `<meta property="${k}" content="${esc(v)}">`);
+  meta.push(
+    '<meta name="twitter:card" content="summary">',
+    `<meta name="twitter:title" content="${esc(item.title)}">`,
+    `<meta name="twitter:description" content="${esc(description)}">`,
+  );
+  if (image) meta.push(`<meta name="twitter:image" content="${esc(image)}">`);
+  meta.push(`<script type="application/ld+json">${jsonForScript(jsonLd)}</script>`);
+
+  const body = `
+    <article class="hero">
+      ${image ? `<img class="icon" src="${esc(image)}" alt="">` : '<div class="icon"></div>'}
+      <div>
+        <h1>${esc(item.title)}</h1>
+        ${item.publishedAt ? `<div class="muted">Listed ${esc(iso(item.publishedAt).slice(0, 10))}</div>` : ''}
+        ${rating && rating.count ? `<div class="muted">★ ${esc(rating.avg.toFixed(1))} · ${rating.count} rating${rating.count === 1 ? '' : 's'}</div>` : ''}
+        <p>${esc(item.desc || '')}</p>
+        <ul class="chips">${(item.categories || []).map(c => `<li><a class="chip" href="${esc(categoryUrl(site, categoryFor(c)))}">${esc(c)}</a></li>`).join('')}</ul>
+        ${(item.tags || []).length ? `<ul class="chips">${item.tags.map(t => `<li class="chip">#${esc(t)}</li>`).join('')}</ul>` : ''}
+        <a class="btn" href="${esc(goUrl(site, item))}" rel="noopener">Open in ChatGPT</a>
+      </div>
+    </article>
+    ${relatedItems.length ? `<h2>Related GPTs</h2>${cardsHtml(site, relatedItems)}` : ''}`;
+  return layout(site, { title: `${item.title} — ${site.name}`, description, canonical: url, head: meta.join('\n  '), body });
+}
+
+function categoryPage(site, category, items) {
+  const url = categoryUrl(site, category);
+  const description = category.description || `Custom GPTs for ${category.name} on ${site.name}.`;
+  const body = `
+    <h1 style="margin-top:32px">${esc(category.name)}</h1>
+    <p class="muted">${esc(description)}</p>
+    ${items.length ? cardsHtml(site, items) : '<p>No GPTs here yet.</p>'}`;
+  const head = [
+    `<meta property="og:title" content="${esc(`${category.name} — ${site.name}`)}">`,
+    `<meta property="og:description" content="${esc(description)}">`,
+    `<meta property="og:url" content="${esc(url)}">`,
+  ].join('\n  ');
+  return layout(site, { title: `${category.name} GPTs — ${site.name}`, description, canonical: url, head, body });
+}
+
+function notFoundPage(site) {
+  return layout(site, {
+    title: `Not found — ${site.name}`,
+    description: 'This page does not exist.',
+    head: '<meta name="robots" content="noindex">',
+    body: `<h1 style="margin-top:32px">Not found</h1><p>This GPT is not listed (anymore). <a href="${esc(site.home)}">Browse the catalog</a>.</p>`,
+  });
+}
+
+// Atom 1.0
+function atomFeed(site, items) {
+  const updated = items.length ? Math.max(...items.map(i => i.publishedAt || i.createdAt || 0)) : Date.now();
+  const entries = items.map(i => `
+  <entry>
+    <id>urn:uuid:${esc(i.id)}</id>
+    <title>${esc(i.title)}</title>
+    <link rel="alternate" type="text/html" href="${esc(itemUrl(site, i))}"/>
+    <published>${iso(i.publishedAt || i.createdAt)}</published>
+    <updated>${iso(i.publishedAt || i.createdAt)}</updated>
+    <summary>${esc(i.desc || '')}</summary>
+    ${(i.categories || []).map(c => `<category term="${esc(c)}"/>`).join('')}
+  </entry>`).join('');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${esc(site.url)}/feed.xml</id>
+  <title>${esc(site.name)} — new GPTs</title>
+  <link rel="self" type="application/atom+xml" href="${esc(site.url)}/feed.xml"/>
+  <link rel="alternate" type="text/html" href="${esc(site.home)}"/>
+  <updated>${iso(updated)}</updated>
+  <author><name>${esc(site.name)}</name></author>${entries}
+</feed>
+`;
+}
+
+// JSON Feed 1.1
+function jsonFeed(site, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: `${site.name} — new GPTs`,
+    home_page_url: site.home,
+    feed_url: `${site.url}/feed.json`,
+    items: items.map(i => ({
+      id: i.id,
+      url: itemUrl(site, i),
+      external_url: goUrl(site, i),
+      title: i.title,
+      content_text: i.desc || '',
+      image: iconUrl(site, i.icon) || undefined,
+      date_published: iso(i.publishedAt || i.createdAt),
+      tags: [...(i.categories || []), ...(i.tags || [])],
+    })),
+  }, null, 2);
+}
+
+// entries: [{ loc, lastmod? }]
+function sitemap(entries) {
+  const urls = entries.map(e => `
+  <url><loc>${esc(e.loc)}</loc>${e.lastmod ? `<lastmod>${iso(e.lastmod).slice(0, 10)}</lastmod>` : ''}</url>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
+
+module.exports = { itemUrl, categoryUrl, itemPage, categoryPage, notFoundPage, atomFeed, jsonFeed, sitemap };
@@ -0,0 +1,69 @@
+// lib/publishing.js
+// Public identity of items: a stable `slug` (assigned once from the title,
+// never changed by later edits) and `publishedAt` (the first time the item
+// went live). Also picks related items and the newest listings for feeds.
+
+const { slugify } = require('./categories');
+
+const RELATED_LIMIT = 6;
+const FEED_LIMIT = 50;
+
+function uniqueSlug(base, taken) {
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+  return slug;
+}
+
+/**
+ * Give every item a slug and every live item a publishedAt if missing.
+ * `backfill` dates old live items by createdAt instead of now (migrations).
+ * Mutates `items`; returns true when anything changed.
+ */
+function stampItems(items, { backfill = false, now = Date.now() } = {}) {
+  let changed = false;
+  const taken = new Set(items.map(i => i.slug).filter(Boolean));
+  for (const item of items) {
+    if (!item.slug) {
+      const base = slugify(item.title).replace(/-+$/, '') || `gpt-${String(item.id).slice(0, 8)}`;
+      item.slug = uniqueSlug(base, taken);
+      taken.add(item.slug);
+      changed = true;
+    }
+    if (item.status === 'live' && !item.publishedAt) {
+      item.publishedAt = (backfill && item.createdAt) || now;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+const findLiveBySlug = (items, slug) => items.find(i => i.slug === slug && i.status === 'live') || null;
+
+// live items sharing the most categories with `item`, featured then newest first
+function related(items, item, limit = RELATED_LIMIT) {
+  const cats = new Set(item.categories || []);
+  return items
+    .filter(i => i !== item && i.status === 'live')
+    .map(i => ({ item: i, shared: (i.categories || []).filter(c => cats.has(c)).length }))
+    .filter(r => r.shared > 0)
+    .sort((a, b) => b.shared - a.shared || (b.item.featured === true) - (a.item.featured === true) || (b.item.publishedAt || 0) - (a.item.publishedAt || 0))
+    .slice(0, limit)
+    .map(r => r.item);
+}
+
+// newest published first, for the feeds
+function latest(items, limit = FEED_LIMIT) {
+  return items
+    .filter(i => i.status === 'live')
+    .sort((a, b) => (b.publishedAt || b.createdAt || 0) - (a.publishedAt || a.createdAt || 0))
+    .slice(0, limit);
+}
+
+// itemId -> timestamp of its last recorded change, for sitemap <lastmod>
+function lastModified(db) {
+  const out = new Map();
+  for (const e of db.audit || []) if (e.itemId && e.at > (out.get(e.itemId) || 0)) out.set(e.itemId, e.at);
+  return out;
+}
+
+module.exports = { stampItems, findLiveBySlug, related, latest, lastModified };
@@ -0,0 +1,40 @@
+// lib/rate-limit.js
+// Sliding-window hit counter per key (ip, username, …), in memory.
+
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map(); // key -> [timestamps]
+
+  function recent(key, now = Date.now()) {
+    const arr = (hits.get(key) || []).filter(ts => now - ts < windowMs);
+    if (arr.length) hits.set(key, arr); else hits.delete(key);
+    return arr;
+  }
+
+  const isLimited = key => recent(key).length >= max;
+
+  function hit(key) {
+    const arr = recent(key);
+    arr.push(Date.now());
+    hits.set(key, arr);
+    return arr.length;
+  }
+
+  // record a hit if under the limit; false when the caller should be refused
+  function take(key) {
+    if (isLimited(key)) return false;
+    hit(key);
+    return true;
+  }
+
+  // ms until the oldest hit in the window expires (0 when not limited)
+  function retryAfterMs(key) {
+    const arr = recent(key);
+    return arr.length >= max ? Math.max(0, windowMs - (Date.now() - arr[0])) : 0;
+  }
+
+  const reset = key => hits.delete(key);
+
+  return { isLimited, hit, take, retryAfterMs, reset };
+}
+
+module.exports = { createRateLimiter };
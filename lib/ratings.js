@@ -0,0 +1,211 @@
+// lib/ratings.js
+// Visitor star ratings (1–5) and favorites. Visitors are anonymous: a random
+// id signed with a server secret, so votes are one-per-browser without
+// accounts. Kept as lists keyed by `${itemId}:${visitor}`:
+//   db.ratings   [{ id, itemId, visitor, stars, at, ip }]  (ip is a keyed hash)
+//   db.favorites [{ id, itemId, visitor, at }]
+// Votes are buffered in memory (createVoteBuffer) and written in batches, so
+// a vote doesn't copy and rewrite the whole catalog.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const STARS = [1, 2, 3, 4, 5];
+const PRIOR_VOTES = 5;  // Bayesian prior weight, in votes of the site-wide mean
+const PRIOR_MEAN = 3;   // mean to assume before anyone has rated anything
+
+// secret for visitor ids: read from `file`, created on first use
+async function loadSecret(file) {
+  try {
+    return (await fs.readFile(file, 'utf8')).trim();
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await fs.writeFile(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+/**
+ * Signed visitor ids: issue() -> { id, token }, verify(token) -> id or null.
+ * ipKey(ip) is a keyed hash so abusive votes can be grouped by address
+ * without storing it.
+ */
+function createVisitorIds(secret) {
+  const sign = id => crypto.createHmac('sha256', secret).update(`visitor:${id}`).digest('base64url').slice(0, 22);
+
+  function issue() {
+    const id = crypto.randomBytes(12).toString('base64url');
+    return { id, token: `${id}.${sign(id)}` };
+  }
+
+  function verify(token) {
+    const [id, sig] = String(token || '').split('.');
+    if (!id || !sig) return null;
+    const expected = Buffer.from(sign(id));
+    const given = Buffer.from(sig);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? id : null;
+  }
+
+  const ipKey = ip => crypto.createHmac('sha256', secret).update(`ip:${ip}`).digest('base64url').slice(0, 12);
+
+  return { issue, verify, ipKey };
+}
+
+const voteId = (itemId, visitor) => `${itemId}:${visitor}`;
+const list = (db, key) => (Array.isArray(db[key]) ? db[key] : (db[key] = []));
+
+// { stars: 1..5 } sets a rating, { stars: 0 | null } clears it
+function validateRating(input) {
+  const raw = input && typeof input === 'object' ? input.stars : undefined;
+  if (raw === 0 || raw === null) return { value: { stars: 0 }, errors: null };
+  if (typeof raw !== 'number' || !STARS.includes(raw)) return { value: null, errors: { stars: 'Rating must be a whole number from 1 to 5' } };
+  return { value: { stars: raw }, errors: null };
+}
+
+// set or clear this visitor's rating of an item; returns the previous stars (0 if none)
+function rate(db, { itemId, visitor, stars, ip = '', now = Date.now() }) {
+  const ratings = list(db, 'ratings');
+  const id = voteId(itemId, visitor);
+  const idx = ratings.findIndex(r => r.id === id);
+  const previous = idx > -1 ? ratings[idx].stars : 0;
+  if (!stars) {
+    if (idx > -1) ratings.splice(idx, 1);
+  } else if (idx > -1) {
+    ratings[idx] = { ...ratings[idx], stars, at: now, ip }; // may be shared with the committed document
+  } else {
+    ratings.push({ id, itemId, visitor, stars, at: now, ip });
+  }
+  return previous;
+}
+
+// add or remove an item from this visitor's favorites; returns true when it changed
+function setFavorite(db, { itemId, visitor, favorite, now = Date.now() }) {
+  const favorites = list(db, 'favorites');
+  const id = voteId(itemId, visitor);
+  const idx = favorites.findIndex(f => f.id === id);
+  if (favorite && idx < 0) favorites.push({ id, itemId, visitor, at: now });
+  else if (!favorite && idx > -1) favorites.splice(idx, 1);
+  else return false;
+  return true;
+}
+
+/**
+ * Votes not yet written to the db, last one per visitor and item winning:
+ * add({ kind: 'rating', itemId, visitor, stars, ip } | { kind: 'favorite',
+ * itemId, visitor, favorite }). drain() hands them over for applyVotes,
+ * restore() puts them back when writing failed, pending() peeks for reads.
+ */
+function createVoteBuffer() {
+  let pending = new Map(); // kind:itemId:visitor -> vote
+
+  function add(vote) {
+    const key = `${vote.kind}:${voteId(vote.itemId, vote.visitor)}`;
+    pending.delete(key); // keep insertion order = vote order
+    pending.set(key, { ...vote, at: vote.at || Date.now() });
+  }
+
+  function drain() {
+    const out = [...pending.values()];
+    pending = new Map();
+    return out;
+  }
+
+  // older than anything buffered since the drain, so newer votes win
+  function restore(drained) {
+    const newer = pending;
+    pending = new Map();
+    for (const vote of [...drained, ...newer.values()]) add(vote);
+  }
+
+  return { add, drain, restore, pending: () => [...pending.values()], get size() { return pending.size; } };
+}
+
+// write buffered votes (from drain() or pending()) into db.ratings / db.favorites
+function applyVotes(db, votes) {
+  for (const { kind, itemId, visitor, stars, favorite, ip, at } of votes) {
+    if (kind === 'rating') rate(db, { itemId, visitor, stars, ip, now: at });
+    else setFavorite(db, { itemId, visitor, favorite, now: at });
+  }
+  return db;
+}
+
+// the document as readers should see it: committed votes plus buffered ones (db itself is left alone)
+function withVotes(db, votes) {
+  if (!votes.length) return db;
+  return applyVotes({ ...db, ratings: [...(db.ratings || [])], favorites: [...(db.favorites || [])] }, votes);
+}
+
+/**
+ * itemId -> { avg, count, score, favorites }. `score` is the Bayesian
+ * average: the item's votes plus PRIOR_VOTES votes of the site-wide mean,
+ * so a single 5-star vote doesn't outrank fifty 4.8s. The map's `prior` is
+ * that mean: the score of an item nobody has rated yet.
+ */
+function summarize(db) {
+  const out = new Map();
+  const entry = id => out.get(id) || out.set(id, { avg: 0, count: 0, score: 0, favorites: 0, sum: 0 }).get(id);
+  let total = 0, votes = 0;
+  for (const r of db.ratings || []) {
+    const e = entry(r.itemId);
+    e.sum += r.stars; e.count++;
+    total += r.stars; votes++;
+  }
+  for (const f of db.favorites || []) entry(f.itemId).favorites++;
+  const mean = votes ? total / votes : PRIOR_MEAN;
+  out.prior = mean;
+  for (const e of out.values()) {
+    if (e.count) {
+      e.avg = Math.round((e.sum / e.count) * 10) / 10;
+      e.score = (e.sum + PRIOR_VOTES * mean) / (e.count + PRIOR_VOTES);
+    }
+    delete e.sum;
+  }
+  return out;
+}
+
+// what one visitor has rated and saved: { ratings: { itemId: stars }, favorites: [itemId] } (newest first)
+function visitorState(db, visitor) {
+  const ratings = {};
+  for (const r of db.ratings || []) if (r.visitor === visitor) ratings[r.itemId] = r.stars;
+  const favorites = (db.favorites || []).filter(f => f.visitor === visitor)
+    .sort((a, b) => b.at - a.at)
+    .map(f => f.itemId);
+  return { ratings, favorites };
+}
+
+// votes on one item, newest first, for moderation
+const votesFor = (db, itemId) => (db.ratings || []).filter(r => r.itemId === itemId).sort((a, b) => b.at - a.at);
+
+/**
+ * Drop ratings matching { ids, itemId, visitor, ip }; a visitor or ip purge
+ * also drops that visitor's favorites. Returns the removed ratings.
+ */
+function removeVotes(db, { ids = null, itemId = '', visitor = '', ip = '' } = {}) {
+  if (!ids && !itemId && !visitor && !ip) return [];
+  const match = r => (ids ? ids.includes(r.id) : true) &&
+    (!itemId || r.itemId === itemId) && (!visitor || r.visitor === visitor) && (!ip || r.ip === ip);
+  const removed = list(db, 'ratings').filter(match);
+  db.ratings = db.ratings.filter(r => !removed.includes(r));
+  if (visitor || ip) {
+    const visitors = new Set(visitor ? [visitor] : removed.map(r => r.visitor));
+    db.favorites = list(db, 'favorites').filter(f => !visitors.has(f.visitor));
+  }
+  return removed;
+}
+
+module.exports = {
+  STARS,
+  loadSecret,
+  createVisitorIds,
+  validateRating,
+  rate,
+  setFavorite,
+  createVoteBuffer,
+  applyVotes,
+  withVotes,
+  summarize,
+  visitorState,
+  votesFor,
+  removeVotes,
+};
@@ -0,0 +1,72 @@
+// lib/schedule.js
+// Timed changes for items and collections, applied by a periodic sweep:
+// publishAt / unpublishAt move `status` from hidden to live and back, and
+// featuredFrom / featuredUntil switch `featured` on and off. Times are epoch
+// ms; each one is cleared once applied, so it fires exactly once.
+
+const FIELDS = ['publishAt', 'unpublishAt', 'featuredFrom', 'featuredUntil'];
+const LABELS = {
+  publishAt: 'Publish time',
+  unpublishAt: 'Unpublish time',
+  featuredFrom: 'Featured from',
+  featuredUntil: 'Featured until',
+};
+// [start, end] pairs that must be in order when both are set
+const WINDOWS = [['publishAt', 'unpublishAt'], ['featuredFrom', 'featuredUntil']];
+
+// null/'' clears; epoch ms or an ISO date string sets; undefined means invalid
+function parseTime(v) {
+  if (v === null || v === '') return null;
+  const ms = typeof v === 'number' ? v : typeof v === 'string' ? Date.parse(v) : NaN;
+  return Number.isFinite(ms) && ms > 0 ? Math.round(ms) : undefined;
+}
+
+// per-field errors for a merged (existing + update) entity, or null
+function windowErrors(entity) {
+  const errors = {};
+  for (const [start, end] of WINDOWS) {
+    if (typeof entity[start] === 'number' && typeof entity[end] === 'number' && entity[end] <= entity[start]) {
+      errors[end] = `${LABELS[end]} must be after ${LABELS[start].toLowerCase()}`;
+    }
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+const dueFields = (entity, now) => FIELDS.filter(f => typeof entity[f] === 'number' && entity[f] <= now);
+const isDue = (list, now = Date.now()) => (list || []).some(e => dueFields(e, now).length);
+
+// the entity with everything due by `now` applied (same object when nothing was due)
+function applyTo(entity, now = Date.now()) {
+  const due = dueFields(entity, now);
+  if (!due.length) return entity;
+  const next = { ...entity };
+  // in field order, so a publish and unpublish both overdue (server was down) end hidden
+  for (const f of due) {
+    if (f === 'publishAt' && next.status === 'hidden') next.status = 'live';
+    if (f === 'unpublishAt' && next.status === 'live') next.status = 'hidden';
+    if (f === 'featuredFrom') next.featured = true;
+    if (f === 'featuredUntil') next.featured = false;
+    delete next[f];
+  }
+  return next;
+}
+
+// copy without the schedule fields, e.g. to name a change after what it did
+const withoutSchedule = entity => Object.fromEntries(Object.entries(entity).filter(([k]) => !FIELDS.includes(k)));
+
+/**
+ * Apply everything due in `list` (db.items or db.collections), replacing
+ * changed entries in place. Returns [{ before, after }] for the audit log.
+ */
+function applyDue(list, now = Date.now()) {
+  const changes = [];
+  (list || []).forEach((before, i) => {
+    const after = applyTo(before, now);
+    if (after === before) return;
+    list[i] = after;
+    changes.push({ before, after });
+  });
+  return changes;
+}
+
+module.exports = { FIELDS, LABELS, parseTime, windowErrors, isDue, applyTo, applyDue, withoutSchedule };
@@ -0,0 +1,161 @@
+// lib/search.js
+// In-memory inverted index over the public catalog. Built once per data change
+// and queried by /api/gpts/public for ranked search, filters, facets and paging.
+
+// field weights used for ranking
+const FIELDS = [
+  ['title', 5],
+  ['categories', 3],
+  ['tags', 3],
+  ['desc', 1],
+];
+const PREFIX_FACTOR = 0.5; // partial-word matches rank below whole words
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+const SORTS = ['relevance', 'featured', 'recent', 'title', 'popular', 'trending', 'rating'];
+// sorts that rank by per-item signals (lib/clicks.js metrics(), lib/ratings.js summarize() score)
+const SIGNAL_SORTS = ['popular', 'trending', 'rating'];
+
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}+#]+/u)
+    .filter(Boolean);
+}
+
+function fieldText(item, field) {
+  const v = item[field];
+  return Array.isArray(v) ? v.join(' ') : v;
+}
+
+function buildIndex(items) {
+  const docs = items.slice();
+  const postings = new Map(); // token -> Map(docIndex -> weight)
+  docs.forEach((item, d) => {
+    for (const [field, weight] of FIELDS) {
+      for (const tok of tokenize(fieldText(item, field))) {
+        let p = postings.get(tok);
+        if (!p) { p = new Map(); postings.set(tok, p); }
+        p.set(d, (p.get(d) || 0) + weight);
+      }
+    }
+  });
+  const vocab = [...postings.keys()].sort();
+  return { docs, postings, vocab };
+}
+
+// first vocab position whose token is >= prefix (binary search)
+function lowerBound(vocab, prefix) {
+  let lo = 0, hi = vocab.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (vocab[mid] < prefix) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// score map (docIndex -> score) for a single query token, whole + prefix matches
+function matchToken(index, tok) {
+  const scores = new Map();
+  for (let i = lowerBound(index.vocab, tok); i < index.vocab.length; i++) {
+    const term = index.vocab[i];
+    if (!term.startsWith(tok)) break;
+    const factor = term === tok ? 1 : PREFIX_FACTOR;
+    for (const [d, w] of index.postings.get(term)) {
+      scores.set(d, Math.max(scores.get(d) || 0, w * factor));
+    }
+  }
+  return scores;
+}
+
+// every query token must match (AND); scores add up
+function searchScores(index, q) {
+  const tokens = [...new Set(tokenize(q))];
+  if (!tokens.length) return null;
+  let result = null;
+  for (const tok of tokens) {
+    const m = matchToken(index, tok);
+    if (!result) { result = m; continue; }
+    const next = new Map();
+    for (const [d, s] of result) if (m.has(d)) next.set(d, s + m.get(d));
+    result = next;
+    if (!result.size) break;
+  }
+  return result;
+}
+
+function hasValue(list, value) {
+  const v = value.toLowerCase();
+  return (list || []).some(x => String(x).toLowerCase() === v);
+}
+
+function parseQuery(params) {
+  const get = k => (params.get(k) || '').trim();
+  const category = get('category');
+  const tag = get('tag');
+  const q = get('q').slice(0, 200);
+  let sort = get('sort').toLowerCase();
+  if (!SORTS.includes(sort)) sort = q ? 'relevance' : 'featured';
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(get('limit'), 10) || DEFAULT_LIMIT));
+  const page = Math.max(1, parseInt(get('page'), 10) || 1);
+  return {
+    q,
+    category: category && category !== 'All' ? category : '',
+    tag,
+    sort,
+    page,
+    limit,
+  };
+}
+
+function compareBy(sort, scores, signals) {
+  const score = d => (scores && scores.get(d)) || 0;
+  const recent = (a, b) => (b.item.createdAt || 0) - (a.item.createdAt || 0);
+  const featured = (a, b) => (b.item.featured ? 1 : 0) - (a.item.featured ? 1 : 0);
+  if (sort === 'title') return (a, b) => (a.item.title || '').localeCompare(b.item.title || '') || recent(a, b);
+  if (sort === 'recent') return (a, b) => recent(a, b);
+  if (SIGNAL_SORTS.includes(sort)) {
+    const signal = item => ((signals && signals.get(item.id)) || {})[sort] || 0;
+    return (a, b) => signal(b.item) - signal(a.item) || featured(a, b) || recent(a, b);
+  }
+  if (sort === 'relevance') return (a, b) => score(b.d) - score(a.d) || featured(a, b) || recent(a, b);
+  return (a, b) => featured(a, b) || score(b.d) - score(a.d) || recent(a, b);
+}
+
+// `signals` maps item id -> { popular, trending, rating } for the signal sorts
+function query(index, opts, signals = null) {
+  const scores = opts.q ? searchScores(index, opts.q) : null;
+  const candidates = [];
+  index.docs.forEach((item, d) => {
+    if (scores && !scores.has(d)) return;
+    if (opts.tag && !hasValue(item.tags, opts.tag)) return;
+    candidates.push({ d, item });
+  });
+
+  // facet counts ignore the category filter so the picker can show alternatives
+  const facetCounts = new Map();
+  for (const { item } of candidates) {
+    for (const c of new Set(item.categories || [])) facetCounts.set(c, (facetCounts.get(c) || 0) + 1);
+  }
+  const categories = [...facetCounts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const matched = opts.category ? candidates.filter(c => hasValue(c.item.categories, opts.category)) : candidates;
+  matched.sort(compareBy(opts.sort, scores, signals));
+
+  const total = matched.length;
+  const start = (opts.page - 1) * opts.limit;
+  return {
+    items: matched.slice(start, start + opts.limit).map(c => c.item),
+    total,
+    page: opts.page,
+    limit: opts.limit,
+    pages: Math.ceil(total / opts.limit),
+    sort: opts.sort,
+    facets: { categories },
+  };
+}
+
+module.exports = { SIGNAL_SORTS, tokenize, buildIndex, parseQuery, query };
@@ -0,0 +1,73 @@
+// lib/storage/index.js
+// The catalog (settings, items, categories, audit, clicks, …) as one cached
+// document. Mutations run one at a time as transactions on a copy, so
+// concurrent requests can't lose each other's changes and saves can't land
+// out of order. Persistence is delegated to an adapter (json.js, sqlite.js).
+
+const path = require('path');
+
+const KINDS = ['json', 'sqlite'];
+
+/**
+ * Adapter for `kind` with its default location in `dataDir`. Adapters
+ * implement load() -> document or null when empty, save(document) -> true if
+ * anything was written, and close().
+ */
+function createAdapter(kind, { dataDir, file } = {}) {
+  if (kind === 'json') return require('./json').createJsonAdapter({ file: file || path.join(dataDir, 'db.json') });
+  if (kind === 'sqlite') return require('./sqlite').createSqliteAdapter({ file: file || path.join(dataDir, 'gptmart.sqlite') });
+  throw new Error(`Unknown storage backend "${kind}" (expected ${KINDS.join(' or ')})`);
+}
+
+function createStorage({ adapter, seed, migrate = async () => false, beforeCommit = () => {}, onCommit = () => {} }) {
+  let state = null;   // last committed document
+  let loading = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    let db = await adapter.load();
+    const fresh = !db;
+    if (fresh) db = await seed();
+    if ((await migrate(db)) || fresh) {
+      beforeCommit(db);
+      await adapter.save(db);
+    }
+    state = db;
+    return db;
+  }
+
+  // committed document; shared with other readers, so never mutate it
+  function read() {
+    if (state) return Promise.resolve(state);
+    if (!loading) loading = load().finally(() => { loading = null; });
+    return loading;
+  }
+
+  /**
+   * Run `fn(draft)` on a private copy of the document. When it resolves the
+   * draft is persisted and becomes the committed state; when it throws
+   * nothing changes. Resolves with fn's return value after the save.
+   */
+  function transaction(fn) {
+    const run = queue.then(async () => {
+      const draft = structuredClone(await read());
+      const result = await fn(draft);
+      beforeCommit(draft);
+      if (await adapter.save(draft)) onCommit(draft);
+      state = draft;
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // wait for pending transactions, then release the backend
+  async function close() {
+    await queue;
+    await adapter.close();
+  }
+
+  return { read, transaction, close };
+}
+
+module.exports = { KINDS, createAdapter, createStorage };
@@ -0,0 +1,37 @@
+// lib/storage/json.js
+// The original db.json format: the whole document, pretty-printed, replaced
+// atomically (write to .tmp, then rename) and skipped when nothing changed.
+
+const fs = require('fs').promises;
+
+function createJsonAdapter({ file }) {
+  let onDisk = null; // serialized text of the last load/save
+
+  async function load() {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+    // a corrupt file is an error, not a reason to reseed over it
+    const db = JSON.parse(text);
+    onDisk = text;
+    return db;
+  }
+
+  async function save(db) {
+    const text = JSON.stringify(db, null, 2);
+    if (text === onDisk) return false;
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, text);
+    await fs.rename(tmp, file);
+    onDisk = text;
+    return true;
+  }
+
+  return { name: 'json', file, load, save, close: async () => {} };
+}
+
+module.exports = { createJsonAdapter };
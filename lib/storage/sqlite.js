@@ -0,0 +1,140 @@
+// lib/storage/sqlite.js
+// SQLite backend (node:sqlite, Node.js 22.5+). Lists with a unique id field
+// (items, categories, audit, ratings, …) are stored one row per element, keyed
+// by that id, so a save only touches the rows that changed; any other
+// top-level value is a single row. `pos` orders a list's rows and stays put
+// when elements are added or removed around them.
+
+const fs = require('fs');
+const path = require('path');
+
+// top-level list -> field that identifies its elements
+const KEYED = { items: 'id', categories: 'slug', collections: 'id', audit: 'id', ratings: 'id', favorites: 'id' };
+
+function openDatabase(file) {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch {
+    throw new Error('STORAGE=sqlite needs Node.js 22.5 or newer (node:sqlite)');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new sqlite.DatabaseSync(file);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      pos INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    );
+  `);
+  return db;
+}
+
+/**
+ * Positions for a keyed list's rows. Stored rows keep theirs while their
+ * relative order is unchanged, so an unshift, push or removal doesn't move
+ * (and rewrite) every other row; new rows fill the gaps, and the list is
+ * renumbered only when they don't fit.
+ */
+function positionsFor(collection, keys, stored) {
+  const prev = keys.map(k => {
+    const row = stored.get(`${collection}\0${k}`);
+    return row ? row.pos : null;
+  });
+  const kept = prev.filter(p => p !== null);
+  const pos = kept.every((p, i) => !i || p > kept[i - 1]) ? prev : keys.map(() => null);
+  for (let i = 0; i < pos.length;) {
+    if (pos[i] !== null) { i++; continue; }
+    let j = i;
+    while (j < pos.length && pos[j] === null) j++;
+    const n = j - i;
+    const lo = i > 0 ? pos[i - 1] : null;
+    const hi = j < pos.length ? pos[j] : null;
+    let start;
+    if (lo === null && hi === null) start = 0;
+    else if (lo === null) start = hi - n;
+    else if (hi === null || hi - lo > n) start = lo + 1;
+    else return keys.map((_, k) => k);
+    for (let k = 0; k < n; k++) pos[i + k] = start + k;
+    i = j;
+  }
+  return pos;
+}
+
+// document -> Map("collection\0key" -> row); `stored` (the rows as saved) keeps positions stable
+function toRows(doc, stored = new Map()) {
+  const rows = new Map();
+  const add = (collection, key, pos, value) =>
+    rows.set(`${collection}\0${key}`, { collection, key, pos, data: JSON.stringify(value) });
+  for (const [collection, value] of Object.entries(doc)) {
+    if (value === undefined) continue;
+    const idField = KEYED[collection];
+    const keys = Array.isArray(value) && idField ? value.map(v => v && v[idField]) : null;
+    // keyed only when every element has its own unique, non-empty id (an empty list stays one row)
+    if (keys && keys.length && keys.every(k => typeof k === 'string' && k) && new Set(keys).size === keys.length) {
+      const pos = positionsFor(collection, keys, stored);
+      value.forEach((v, i) => add(collection, keys[i], pos[i], v));
+    } else {
+      add(collection, '', 0, value);
+    }
+  }
+  return rows;
+}
+
+function createSqliteAdapter({ file }) {
+  let db = null;
+  let stored = new Map(); // rows as last loaded/saved
+  const conn = () => db || (db = openDatabase(file));
+
+  async function load() {
+    const rows = conn().prepare('SELECT collection, key, pos, data FROM documents ORDER BY collection, pos').all();
+    if (!rows.length) return null;
+    const doc = {};
+    stored = new Map();
+    for (const r of rows) {
+      stored.set(`${r.collection}\0${r.key}`, { collection: r.collection, key: r.key, pos: r.pos, data: r.data });
+      const value = JSON.parse(r.data);
+      if (r.key === '') doc[r.collection] = value;
+      else (doc[r.collection] || (doc[r.collection] = [])).push(value);
+    }
+    return doc;
+  }
+
+  async function save(doc) {
+    const next = toRows(doc, stored);
+    const upserts = [...next.values()].filter(r => {
+      const prev = stored.get(`${r.collection}\0${r.key}`);
+      return !prev || prev.pos !== r.pos || prev.data !== r.data;
+    });
+    const deletes = [...stored.keys()].filter(k => !next.has(k)).map(k => stored.get(k));
+    if (!upserts.length && !deletes.length) return false;
+
+    const c = conn();
+    const upsert = c.prepare(`INSERT INTO documents (collection, key, pos, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, key) DO UPDATE SET pos = excluded.pos, data = excluded.data`);
+    const remove = c.prepare('DELETE FROM documents WHERE collection = ? AND key = ?');
+    c.exec('BEGIN IMMEDIATE');
+    try {
+      for (const r of deletes) remove.run(r.collection, r.key);
+      for (const r of upserts) upsert.run(r.collection, r.key, r.pos, r.data);
+      c.exec('COMMIT');
+    } catch (e) {
+      c.exec('ROLLBACK');
+      throw e;
+    }
+    stored = next;
+    return true;
+  }
+
+  async function close() {
+    if (db) db.close();
+    db = null;
+  }
+
+  return { name: 'sqlite', file, load, save, close };
+}
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,174 @@
+// lib/transfer.js
+// Bulk export/import of the catalog as JSON or CSV. Import rows are matched to
+// existing items by the ChatGPT `g-…` id in their URL and validated with the
+// same item model as every other write path.
+
+const { validateItem, gptIdFromUrl, ADMIN_FIELDS } = require('./item-model');
+const { statusEditError } = require('./moderation');
+
+const FORMATS = ['json', 'csv'];
+const EXPORT_FIELDS = ['id', 'title', 'url', 'icon', 'desc', 'categories', 'tags', 'featured', 'status', 'createdAt'];
+const LIST_FIELDS = ['categories', 'tags'];
+const LIST_SEP = '|';
+// present in exports but owned by the server, so ignored on import
+const IGNORED_IMPORT_FIELDS = ['id', 'createdAt'];
+
+// --- export ---
+
+function filterItems(items, params) {
+  const status = params.get('status') || '';
+  const category = (params.get('category') || '').toLowerCase();
+  const featured = params.get('featured');
+  return items.filter(i =>
+    (!status || i.status === status) &&
+    (!category || (i.categories || []).some(c => c.toLowerCase() === category)) &&
+    (featured == null || featured === '' || !!i.featured === (featured === 'true' || featured === '1')));
+}
+
+// spreadsheets run cells starting with = + - @ (or tab/CR) as formulas, so exports
+// prefix them with ' and imports drop it again; already-quoted ones get one more
+const FORMULA_RE = /^'*[=+\-@\t\r]/;
+const guardFormula = s => (FORMULA_RE.test(s) ? `'${s}` : s);
+const unguardFormula = s => (s[0] === "'" && FORMULA_RE.test(s) ? s.slice(1) : s);
+
+function csvCell(v) {
+  const s = guardFormula(v == null ? '' : String(v));
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+function csvHeader() {
+  return csvLine(EXPORT_FIELDS);
+}
+
+function itemToCsvLine(item) {
+  return csvLine(EXPORT_FIELDS.map(f => (LIST_FIELDS.includes(f) ? (item[f] || []).join(LIST_SEP) : item[f])));
+}
+
+function itemToJson(item) {
+  const out = {};
+  for (const f of EXPORT_FIELDS) if (item[f] !== undefined) out[f] = item[f];
+  return out;
+}
+
+// --- import parsing ---
+
+// RFC 4180: quoted cells, doubled quotes, CRLF or LF line ends
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted cell');
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// CSV cells are strings; turn them into the shapes the item model expects
+function csvRecord(header, cells) {
+  const data = {};
+  header.forEach((key, i) => {
+    const raw = unguardFormula(cells[i] == null ? '' : cells[i]);
+    if (LIST_FIELDS.includes(key)) data[key] = raw.split(LIST_SEP).map(s => s.trim()).filter(Boolean);
+    else if (key === 'featured') { if (raw.trim() !== '') data[key] = /^(true|1|yes|y)$/i.test(raw.trim()); }
+    else if (key === 'status') { if (raw.trim() !== '') data[key] = raw.trim().toLowerCase(); }
+    else data[key] = raw;
+  });
+  return data;
+}
+
+/**
+ * Parse an import body into [{ row, data }] (row is 1-based, header excluded).
+ * Throws with a readable message when the body itself is malformed.
+ */
+function parseImport(text, format) {
+  const body = String(text || '').replace(/^\uFEFF/, '');
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(body);
+    if (!header) throw new Error('CSV is empty');
+    const keys = header.map(h => h.trim());
+    return rows.map((cells, i) => ({ row: i + 1, data: csvRecord(keys, cells) }));
+  }
+  let parsed;
+  try { parsed = JSON.parse(body || '[]'); }
+  catch { throw new Error('Invalid JSON'); }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+  if (!Array.isArray(list)) throw new Error('Expected a JSON array of items or { "items": [...] }');
+  return list.map((data, i) => ({ row: i + 1, data }));
+}
+
+// --- import planning ---
+
+/**
+ * Decide what each record would do without touching db.
+ * Returns [{ row, action: create|update|unchanged|error, title, gptId, itemId, value, errors }].
+ */
+function planImport(db, records) {
+  const byGptId = new Map();
+  for (const item of db.items) {
+    const gid = gptIdFromUrl(item.url);
+    if (gid && !byGptId.has(gid)) byGptId.set(gid, item);
+  }
+  const seen = new Map(); // gptId -> first row in this import
+
+  return records.map(({ row, data }) => {
+    const isObject = data && typeof data === 'object' && !Array.isArray(data);
+    const payload = {};
+    if (isObject) {
+      for (const [k, v] of Object.entries(data)) if (!IGNORED_IMPORT_FIELDS.includes(k)) payload[k] = v;
+    }
+    const gptId = gptIdFromUrl(payload.url);
+    const existing = gptId ? byGptId.get(gptId) || null : null;
+    const { value, errors } = validateItem(isObject ? payload : data, {
+      fields: ADMIN_FIELDS, existing, categories: db.categories,
+    });
+    const result = { row, title: (value && value.title) || payload.title || '', gptId, itemId: existing ? existing.id : null };
+
+    if (errors) return { ...result, action: 'error', errors };
+    if (!gptId) return { ...result, action: 'error', errors: { url: 'ChatGPT link must contain a g-… id' } };
+    if (seen.has(gptId)) return { ...result, action: 'error', errors: { url: `Same GPT as row ${seen.get(gptId)}` } };
+    seen.set(gptId, row);
+
+    if (!existing) return { ...result, action: 'create', value };
+    const statusError = statusEditError(existing.status, value.status);
+    if (statusError) return { ...result, action: 'error', errors: { status: statusError } };
+    const unchanged = Object.keys(value).every(k => JSON.stringify(existing[k]) === JSON.stringify(value[k]));
+    return { ...result, action: unchanged ? 'unchanged' : 'update', value };
+  });
+}
+
+function summarize(plan) {
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  for (const r of plan) summary[r.action]++;
+  return summary;
+}
+
+module.exports = {
+  FORMATS,
+  filterItems,
+  csvHeader,
+  itemToCsvLine,
+  itemToJson,
+  parseImport,
+  planImport,
+  summarize,
+};
@@ -0,0 +1,40 @@
+// scripts/migrate-storage.js
+// Copy the catalog between storage backends, e.g. before switching STORAGE:
+//   node scripts/migrate-storage.js json sqlite [--force]
+// Uses DATA_DIR and SQLITE_PATH like the server. Stop the server first.
+
+const path = require('path');
+const storage = require('../lib/storage');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const [from, to] = args.filter(a => a !== '--force');
+  if (!storage.KINDS.includes(from) || !storage.KINDS.includes(to) || from === to) {
+    console.error(`Usage: node scripts/migrate-storage.js <${storage.KINDS.join('|')}> <${storage.KINDS.join('|')}> [--force]`);
+    process.exit(2);
+  }
+
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, '..');
+  const open = kind => storage.createAdapter(kind, { dataDir, file: kind === 'sqlite' ? process.env.SQLITE_PATH : '' });
+  const source = open(from);
+  const target = open(to);
+  try {
+    const db = await source.load();
+    if (!db) throw new Error(`Nothing to migrate: ${source.file} is empty or missing`);
+    // loaded even with --force: the sqlite adapter only deletes rows it knows about
+    const existing = await target.load();
+    if (existing && !force) throw new Error(`${target.file} already has data (use --force to overwrite)`);
+    await target.save(db);
+    const count = key => (Array.isArray(db[key]) ? db[key].length : 0);
+    console.log(`Copied ${source.file} -> ${target.file}: ${count('items')} items, ${count('categories')} categories, ${count('audit')} audit entries`);
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
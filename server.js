@@ -4,6 +4,23 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const querystring = require('querystring');
+const search = require('./lib/search');
+const itemModel = require('./lib/item-model');
+const taxonomy = require('./lib/categories');
+const audit = require('./lib/audit');
+const transfer = require('./lib/transfer');
+const duplicates = require('./lib/duplicates');
+const assets = require('./lib/assets');
+const clicks = require('./lib/clicks');
+const moderation = require('./lib/moderation');
+const publishing = require('./lib/publishing');
+const pages = require('./lib/pages');
+const ratings = require('./lib/ratings');
+const collections = require('./lib/collections');
+const schedule = require('./lib/schedule');
+const storage = require('./lib/storage');
+const auth = require('./lib/auth');
+const { createRateLimiter } = require('./lib/rate-limit');
 
 // --- ASYNC BOOTSTRAP ---
 async function startServer() {
@@ -11,131 +28,292 @@ async function startServer() {
 
   // --- CONFIG ---
   const PORT = process.env.PORT || 3000;
-  const ADMIN_PIN = (process.env.ADMIN_PIN || '4545').trim();
+  // first owner account, created only when DATA_DIR/auth.json has no users yet;
+  // its password is generated (and printed once) unless ADMIN_PASSWORD or the legacy ADMIN_PIN is set
+  const ADMIN_USER = (process.env.ADMIN_USER || 'admin').trim().toLowerCase();
+  const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || (process.env.ADMIN_PIN || '').trim();
+  // behind a reverse proxy: take the client address from the entry it appends to X-Forwarded-For.
+  // On by default on Render (which sets RENDER), where every request arrives through its proxy.
+  const TRUST_PROXY = /^(1|true|yes)$/i.test(process.env.TRUST_PROXY || (process.env.RENDER ? '1' : ''));
   const DATA_DIR = process.env.DATA_DIR || __dirname;
-  const DB_PATH = path.join(DATA_DIR, 'db.json');
+  // catalog backend: 'json' (DATA_DIR/db.json) or 'sqlite' (SQLITE_PATH, default DATA_DIR/gptmart.sqlite)
+  const STORAGE = (process.env.STORAGE || 'json').trim().toLowerCase();
+  const SQLITE_PATH = process.env.SQLITE_PATH || '';
+  // public base URL of this server for detail pages, feeds and sitemap (set it in production; see siteFor)
+  const SITE_URL = (process.env.SITE_URL || '').replace(/\/+$/, '');
+  const STOREFRONT_URL = process.env.STOREFRONT_URL || 'https://www.gptmrt.com';
+  // signs anonymous visitor ids for ratings/favorites (default: generated into DATA_DIR/visitor.key)
+  const VISITOR_SECRET = process.env.VISITOR_SECRET || await ratings.loadSecret(path.join(DATA_DIR, 'visitor.key'));
+  const assetStore = assets.createAssetStore(DATA_DIR);
+  const authStore = auth.createAuthStore(DATA_DIR);
 
   // --- DB HELPERS ---
-  async function readDB() {
+  // one cached document; every mutation is a transaction (see lib/storage)
+  const store = storage.createStorage({
+    adapter: storage.createAdapter(STORAGE, { dataDir: DATA_DIR, file: STORAGE === 'sqlite' ? SQLITE_PATH : '' }),
+    seed: seedDB,
+    migrate: migrateDB,
+    beforeCommit: db => publishing.stampItems(db.items), // slugs for new items, publishedAt on first going live
+    onCommit: () => { searchIndex = null; ratingStats = null; }, // catalog changed; rebuild on next public query
+  });
+
+  // committed state, shared between requests: read it, never mutate it
+  const readDB = () => store.read();
+  // run fn(db) on a private copy; resolves with its result once saved
+  const updateDB = fn => store.transaction(fn);
+
+  // schema upgrades for older data; returns true when db changed
+  async function migrateDB(db) {
+    let changed = false;
+    if (!Array.isArray(db.categories)) {
+      db.categories = taxonomy.seedCategories(db.items || []);
+      changed = true;
+    }
+    if (!Array.isArray(db.collections)) {
+      db.collections = [];
+      changed = true;
+    }
+    if (await migrateInlineIcons(db)) changed = true;
+    // commits stamp new items, so anything unstamped here predates slugs
+    if (publishing.stampItems(db.items || [], { backfill: true })) changed = true;
+    return changed;
+  }
+
+  // move inline data: icons (items and audit history) into the asset store. These were
+  // accepted before uploads had limits, so none apply here; what can't be stored stays inline.
+  async function migrateInlineIcons(db) {
+    const converted = new Map();
+    let changed = false;
+    const swap = async (obj, key) => {
+      if (!obj || !assets.isDataUrl(obj[key])) return;
+      const dataUrl = obj[key];
+      if (!converted.has(dataUrl)) {
+        try { converted.set(dataUrl, await assetStore.saveDataUrl(dataUrl, { limits: false })); }
+        catch (e) { console.warn(`Keeping inline icon: ${e.message}`); converted.set(dataUrl, dataUrl); }
+      }
+      if (converted.get(dataUrl) === dataUrl) return;
+      obj[key] = converted.get(dataUrl);
+      changed = true;
+    };
+    for (const item of db.items || []) await swap(item, 'icon');
+    for (const entry of db.audit || []) {
+      await swap(entry.snapshot, 'icon');
+      await swap(entry.previous, 'icon');
+      if (entry.changes && entry.changes.icon) {
+        await swap(entry.changes.icon, 'from');
+        await swap(entry.changes.icon, 'to');
+      }
+    }
+    return changed;
+  }
+
+  // every /assets/ reference still reachable from items, collection covers or history
+  function assetRefs(db) {
+    const refs = new Set();
+    const add = v => { if (assets.isAssetRef(v)) refs.add(v); };
+    for (const item of db.items) add(item.icon);
+    for (const c of db.collections || []) add(c.cover);
+    for (const entry of db.audit || []) {
+      if (entry.snapshot) { add(entry.snapshot.icon); add(entry.snapshot.cover); }
+      if (entry.previous) add(entry.previous.icon);
+      for (const field of ['icon', 'cover']) {
+        if (entry.changes && entry.changes[field]) { add(entry.changes[field].from); add(entry.changes[field].to); }
+      }
+    }
+    return refs;
+  }
+
+  async function collectAssets() {
+    const removed = await assetStore.gc(assetRefs(await readDB()));
+    if (removed.length) console.log(`🧹 Removed ${removed.length} unreferenced asset(s)`);
+    return removed;
+  }
+
+  // swap an inline data: icon (or collection cover) for a stored asset reference; returns field errors or null
+  async function ingestIcon(value, { dryRun = false, field = 'icon' } = {}) {
+    if (!assets.isDataUrl(value[field])) return null;
     try {
-      const data = await fs.readFile(DB_PATH, 'utf8');
-      return JSON.parse(data);
-    } catch {
-      // Seed on first run
-      const allGpts = [
-        { title:"jQuery Tutor", desc:"Learn and master jQuery: selectors, events, animations, DOM, AJAX, plugins, debugging, and modern alternatives.", icon:"https://www.vectorlogo.zone/logos/jquery/jquery-icon.svg", categories:["Frontend","Tools"], url:"https://chatgpt.com/g/g-68b859c4f6f88191b05a4effe7d2140a-jquery-tutor"},
-        { title:"ASP Tutor", desc:"Classic ASP + modern ASP.NET (C#). Server-side scripting, examples, debugging, and web app best practices.", icon:"https://cdn.iconscout.com/icon/free/png-256/asp-net-3-1175185.png", categories:["Backend","Languages"], url:"https://chatgpt.com/g/g-68b6eaad79e48191b3b2c487f0e60071-asp-tutor?model=gpt-5"},
-        { title:"Artificial Intelligence Mentor", desc:"ML, DL, NLP, CV, RL, and Generative AI. Runnable code, projects, and ethics — beginner to advanced.", icon:"https://upload.wikimedia.org/wikipedia/commons/b/b9/AI_logo_by_United_Blasters.png", categories:["AI & Automation","Data"], url:"https://chatgpt.com/g/g-68b6e97f95ac81918b262e088c05f522-artificial-intelligence-mentor"},
-        { title:"Sass Tutor", desc:"Master Sass/SCSS: variables, mixins, nesting, partials, imports, architecture. Real-world patterns and debugging.", icon:"https://cdn.iconscout.com/icon/free/png-256/sass-226059.png", categories:["Frontend","Design"], url:"https://chatgpt.com/g/g-68b6e8bf3d7881919c484523463fa967-sass-tutor?model=gpt-5"},
-        { title:"Vue Tutor", desc:"Vue components, props, events, router, Pinia/Vuex, Composition API, API integration.", icon:"https://upload.wikimedia.org/wikipedia/commons/9/95/Vue.js_Logo_2.svg", categories:["Frontend","Frameworks"], url:"https://chatgpt.com/g/g-68b6e70822048191a981d4994078c447-vue-tutor"},
-        { title:"Gen AI Mentor", desc:"LLMs, diffusion/GANs, audio/video models. Code, projects, and ethics — beginner to advanced.", icon:"https://miro.medium.com/v2/resize:fit:720/format:webp/1*vYurT8Cw7upWSOLJvUo0Mg.png", categories:["AI & Automation"], url:"https://chatgpt.com/g/g-68b6e5d5c7e08191ab8f644e7c87501f-gen-ai-mentor?model=gpt-5"},
-        { title:"SciPy Tutor", desc:"Optimization, linear algebra, signal processing, integration, interpolation, statistics — with examples.", icon:"https://upload.wikimedia.org/wikipedia/commons/b/b2/SCIPY_2.svg", categories:["Data","AI & Automation"], url:"https://chatgpt.com/g/g-68b6e4f4f8d081918945af5baad8eb97-scipy-tutor"},
-        { title:"Cybersecurity Mentor", desc:"Network security, encryption, ethical hacking basics, malware, risk, and best practices. Lessons + simulations.", icon:"https://cdn-icons-png.flaticon.com/512/3063/3063468.png", categories:["Security"], url:"https://chatgpt.com/g/g-68b6e41946448191af4377ad84dafe24-cybersecurity-mentor"},
-        { title:"Data Science Mentor", desc:"NumPy, Pandas, Matplotlib, scikit-learn. Tutorials, datasets, projects — beginner to advanced.", icon:"https://cdn-icons-png.flaticon.com/512/2967/2967262.png", categories:["Data","AI & Automation"], url:"https://chatgpt.com/g/g-68b6a06e44e881919c09ff648d64b0f3-data-science-mentor"},
-        { title:"Introduction to Programming", desc:"Start coding from zero. Variables, loops, functions. Python by default, C++/Java/JS optional.", icon:"https://cdn-icons-png.flaticon.com/512/1005/1005141.png", categories:["Learning","Languages"], url:"https://chatgpt.com/g/g-68b69ed77aec81919d3393e367baf046-introduction-to-programming"},
-        { title:"DSA Coach", desc:"Concepts, patterns, checklists, complexities, tests, multiple approaches. Python/C++/Java/JS.", icon:"https://cdn-icons-png.flaticon.com/512/5903/5903823.png", categories:["Learning","Interviews"], url:"https://chatgpt.com/g/g-68b69c9ea8d081918fb91d37f78ec3c3-dsa-coach"},
-        { title:"Responsive UI Coach (Bootstrap-ready)", desc:"Accessible components & pages. v3/v4→v5, utilities, fixes, CDN or npm/Sass.", icon:"https://cdn.iconscout.com/icon/free/png-256/bootstrap-226077.png", categories:["Frontend","Design"], url:"https://chatgpt.com/g/g-68b697b5913c81918e64a23a52138255-responsive-ui-coach-bootstrap-ready"},
-        { title:"Sedative", desc:"Talk to me to sleep. no cap.", icon:"https://cdn-icons-png.flaticon.com/512/3223/3223652.png", categories:["Lifestyle"], url:"https://chatgpt.com/g/g-688363b4125c8191bb950c37778ab4d0-sedative?model=gpt-4o"},
-        { title:"Global Football Hub", desc:"ESPN FC, UEFA, Transfermarkt, FIFA, FBref. News, tables, verified info.", icon:"https://cdn-icons-png.flaticon.com/512/280/280766.png", categories:["Sports"], url:"https://chatgpt.com/g/g-6878f74104908191b0ae0f9a513c392b-global-football-hub?model=gpt-4o"},
-        { title:"Freeware finder", desc:"Find quality free software/services fast.", icon:"https://cdn-icons-png.flaticon.com/512/3223/3223652.png", categories:["Search","Tools"], url:"https://chatgpt.com/g/g-6873b6d56ae0819192702a6ab83a9006-freeware-finder?model=gpt-4o"},
-        { title:"Blasphemy -- Holy Heresy,Divine Rebellion", desc:"Explore controversial, sacred, and forbidden ideas — religion, philosophy, truth beyond tradition.", icon:"https://upload.wikimedia.org/wikipedia/commons/4/41/Blasphemous_logo.png", categories:["Philosophy"], url:"https://chatgpt.com/g/g-68652a058b348191ba363415dda6bf23-blasphemy-holy-heresy-divine-rebellion?model=gpt-4o"},
-        { title:"Spam & Scam Detector – Protect Your Inbox", desc:"Detect scams, spam, phishing in email/SMS/DMs. AI-powered protection.", icon:"https://cdn-icons-png.flaticon.com/512/2926/2926715.png", categories:["Security","Tools"], url:"https://chatgpt.com/g/g-686522599f78819196f796d8f20dc5a7-spam-scam-detector-protect-your-inbox?model=gpt-4o"},
-        { title:"Error Detector – Spot, Explain, Fix", desc:"Bugs in code, grammar flaws, logic errors, factual inaccuracies. Detect, explain, fix.", icon:"https://cdn-icons-png.flaticon.com/512/1055/1055673.png", categories:["Tools"], url:"https://chatgpt.com/g/g-68651a7bd7a081919b9e95ed139b1d4c-error-detector-spot-explain-fix?model=gpt-4o"},
-        { title:"Lisp/Scheme", desc:"Harness Lisp’s legendary power for AI and elegant computation.", icon:"https://upload.wikimedia.org/wikipedia/commons/4/48/Lisp_logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67efc6a389cc8191a9a54ed9633c8d9c-lisp-scheme"},
-        { title:"PowerShell", desc:"Scripting, Windows automation, admin tasks, WMI, AD — pro-grade helper.", icon:"https://upload.wikimedia.org/wikipedia/commons/a/a1/Powershell_128.svg", categories:["Languages","Automation"], url:"https://chatgpt.com/g/g-67efc250595c81918bf818005ac8dded-powershell?model=gpt-5"},
-        { title:"Perl", desc:"Regex, parsing, automation, modules — for devs, analysts, and sysadmins.", icon:"https://upload.wikimedia.org/wikipedia/commons/3/34/Perl-logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67efc0f669848191bb17090ea0ac5aab-perl?model=gpt-4o"},
-        { title:"Bash", desc:"Automate tasks, scripts, terminal mastery — loops, cron, file ops.", icon:"https://upload.wikimedia.org/wikipedia/commons/5/52/Bash-tip.svg", categories:["Languages","Automation"], url:"https://chatgpt.com/g/g-67efbf3da2048191b28d875c2c041130-bash?model=gpt-4o"},
-        { title:"MATLAB", desc:"Matrix math, simulations, analysis, toolboxes, debugging — for students and pros.", icon:"https://upload.wikimedia.org/wikipedia/commons/2/21/Matlab_Logo.png", categories:["Languages","Data"], url:"https://chatgpt.com/g/g-67efbdf8604c8191b48f2596faa7c13a-matlab"},
-        { title:"Julia", desc:"High-performance Julia for scientific computing and data science.", icon:"https://upload.wikimedia.org/wikipedia/commons/a/ae/Julia_logo_circles.svg", categories:["Languages","Data"], url:"https://chatgpt.com/g/g-67efbca1eb9481919f6d08d23dcdd14e-julia"},
-        { title:"TypeScript", desc:"Types, interfaces, generics, debugging. Ideal for React/Node/full-stack.", icon:"https://upload.wikimedia.org/wikipedia/commons/4/4c/Typescript_logo_2020.svg", categories:["Languages","Frontend"], url:"https://chatgpt.com/g/g-67efb97be07c8191b266b92f5e095c99-typescript"},
-        { title:"Rust", desc:"Ownership, lifetimes, crates, zero-cost abstractions — fearless systems dev.", icon:"https://upload.wikimedia.org/wikipedia/commons/d/d5/Rust_programming_language_black_logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef6d3bd4d081919fb3b0cec36e487a-rust"},
-        { title:"Kotlin", desc:"Android, backend, multiplatform. Coroutines, Jetpack, OOP, clean architecture.", icon:"https://upload.wikimedia.org/wikipedia/commons/3/3d/Kotlin_icon_%282016-2021%29.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef6bda03888191a399bb2ec8dddb80-kotlin"},
-        { title:"Ruby", desc:"Scripts, automation, web (Rails), debugging. For beginners to ninjas.", icon:"https://upload.wikimedia.org/wikipedia/commons/7/73/Ruby_logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef69f3d4488191b55dd9d6fa0b5b4a-ruby"},
-        { title:"C#", desc:".NET, Unity, OOP, LINQ, async. Build games, apps, enterprise systems.", icon:"https://upload.wikimedia.org/wikipedia/commons/b/bd/Logo_C_sharp.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef690a075c8191a17713ad997799ff-c"},
-        { title:"C", desc:"Syntax, pointers, memory, performance — efficient low-level code.", icon:"https://upload.wikimedia.org/wikipedia/commons/1/18/C_Programming_Language.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef67c3b83481918336d1c4ddfd5600-c"},
-        { title:"SQL", desc:"Queries, joins, indexing, optimization, schema design — beginner to pro.", icon:"https://upload.wikimedia.org/wikipedia/commons/d/d7/Sql_data_base_with_logo.svg", categories:["Data"], url:"https://chatgpt.com/g/g-67ef62fdcdd081918ce75b1c878f43f4-sql"},
-        { title:"GO (Golang)", desc:"APIs, microservices, CLIs — fast, concurrent, idiomatic Go.", icon:"https://upload.wikimedia.org/wikipedia/commons/0/05/Go_Logo_Blue.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef61ba9f588191bf95969b202cbb40-go-golang"},
-        { title:"R", desc:"Tidyverse, ggplot2, ML, research workflows — for analysts and researchers.", icon:"https://upload.wikimedia.org/wikipedia/commons/1/1b/R_logo.svg", categories:["Languages","Data"], url:"https://chatgpt.com/g/g-67ef6038ca98819185f6220127732863-r"},
-        { title:"Swift", desc:"Swift & SwiftUI for Apple platforms. Animations, APIs, UI design.", icon:"https://cdn.worldvectorlogo.com/logos/swift-15.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef5efbde6c8191b42c15244c8a1a78-swift?model=gpt-4o"},
-        { title:"Java", desc:"Clean OOP, Android/back-end systems, DSA, debugging.", icon:"https://upload.wikimedia.org/wikipedia/it/2/2e/Java_Logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef5e1c6e9c8191b70a38f779ffa6e6-java?model=gpt-4o"},
-        { title:"React", desc:"Build fast component-based UIs with hooks & state.", icon:"https://upload.wikimedia.org/wikipedia/commons/a/a7/React-icon.svg", categories:["Frontend","Frameworks"], url:"https://chatgpt.com/g/g-67ef5d4d75a48191aa49f525af48e4d9-react"},
-        { title:"HTML&CSS", desc:"Responsive layouts, flexbox, grid, forms, animations — clean design help.", icon:"https://upload.wikimedia.org/wikipedia/commons/6/61/HTML5_logo_and_wordmark.svg", categories:["Frontend","Design"], url:"https://chatgpt.com/g/g-67ef5b2d70bc81918d9a5c2877de14d7-html-css?model=gpt-4o"},
-        { title:"Python", desc:"Scripting, automation, data science, AI — clean code and real-world use cases.", icon:"https://upload.wikimedia.org/wikipedia/commons/c/c3/Python-logo-notext.svg", categories:["Languages","AI & Automation"], url:"https://chatgpt.com/g/g-67ef5a74409081919143341dc018e522-python?model=gpt-5"},
-        { title:"JavaScript", desc:"Modern JS — ES6+, DOM, async, Node.js. Debugging & best practices.", icon:"https://upload.wikimedia.org/wikipedia/commons/9/99/Unofficial_JavaScript_logo_2.svg", categories:["Languages","Frontend"], url:"https://chatgpt.com/g/g-67ef55adf8bc8191b0ed342c54a7ffed-javascript"},
-        { title:"c++ cpp", desc:"Write, debug, and learn modern C++ with STL. Basics to advanced & competitive programming.", icon:"https://upload.wikimedia.org/wikipedia/commons/1/18/ISO_C%2B%2B_Logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67e5dd64ae48819198a2a7ec557a70ce-c-cpp"},
-        { title:"Part-Time Canada 🇨🇦💼", desc:"Find part-time jobs in Canada. Resume help, interview prep, and job search guidance.", icon:"https://cdn-icons-png.flaticon.com/512/1041/1041926.png", categories:["Careers"], url:"https://chatgpt.com/g/g-67e0199bba8c8191b4b18babb5e4371b-part-time-canada?model=gpt-4o"},
-        { title:"Part-Time USA 🇺🇸💼", desc:"Find part-time jobs in the USA. Resume help, interview prep, and job search guidance.", icon:"https://cdn-icons-png.flaticon.com/512/1041/1041926.png", categories:["Careers"], url:"https://chatgpt.com/g/g-67e013d13f94819184fcb52c29055801-part-time-usa?model=gpt-4o"},
-        { title:"Task Master", desc:"Master your time, crush your goals. Zero overwhelm.", icon:"https://cdn-icons-png.flaticon.com/512/1005/1005141.png", categories:["Productivity"], url:"https://chatgpt.com/g/g-67dea8dbd7308191ad830a0bf253cad3-task-master-mind?model=gpt-4o"},
-        { title:"PHP", desc:"A sharp PHP helper for modern backend work: PHP 8.3 syntax, Composer, Laravel/Symfony, WordPress hooks, secure PDO, DX tips, benchmarks, and bug-fixing.", icon:"https://www.php.net/images/logos/new-php-logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-68cbbcf3baac81918fd5ec4667a31a0e-php-pro-studio?model=gpt-5"},
-        { title:"CS Roast Battle GPT", desc:"Roasts entire programming languages.", icon:"https://cdn-icons-png.flaticon.com/512/3069/3069151.png", categories:["Humor","Languages"], url:"https://chatgpt.com/g/g-68dac3d327d88191a9eaa7acf549e9f3-cs-roast-battle-gpt?model=gpt-5"},
-        { title:"Startup Pitch GPT", desc:"Turns random code into billion-dollar startup pitches.", icon:"https://cdn-icons-png.flaticon.com/512/3135/3135728.png", categories:["Humor","Careers"], url:"https://chatgpt.com/g/g-68dac274b17c819184887dd80271c125-startup-pitch-gpt?model=gpt-5"},
-        { title:"Haunted Compiler GPT", desc:"Acts like your compiler is possessed.", icon:"https://cdn-icons-png.flaticon.com/512/2873/2873646.png", categories:["Humor"], url:"https://chatgpt.com/g/g-68dac0df1cf88191aaff7952ea764a39-haunted-compiler-gpt?model=gpt-5"},
-        { title:"Code Horror Stories GPT", desc:"Tells creepy campfire stories about bugs.", icon:"https://cdn-icons-png.flaticon.com/512/1792/1792942.png", categories:["Humor"], url:"https://chatgpt.com/g/g-68dac00c2b3481918393a8d577d44408-code-horror-stories-gpt"},
-        { title:"StackOverflow Parrot GPT", desc:"The sassiest dev bot alive. Ask it anything and get roasted like you're on StackOverflow...", icon:"https://cdn-icons-png.flaticon.com/512/2926/2926725.png", categories:["Humor","Tools"], url:"https://chatgpt.com/g/g-68dabe58efc88191b7b5340395c98de7-stackoverflow-parrot-gpt?model=gpt-5"},
-        { title:"Meme Compiler GPT", desc:"Compiles errors into memes.", icon:"https://cdn-icons-png.flaticon.com/512/3221/3221596.png", categories:["Humor","Tools"], url:"https://chatgpt.com/g/g-68dabd397b3c8191a464c3e7e6aa6cab-meme-compiler-gpt?model=gpt-5"},
-        { title:"Code Reviewer From Hell GPT", desc:"Roasts your code brutally but hilariously.", icon:"https://cdn-icons-png.flaticon.com/512/2613/2613106.png", categories:["Humor","Tools"], url:"https://chatgpt.com/g/g-68dabbb898a8819182b05c6c3bb15150-code-reviewer-from-hell-gpt?model=gpt-5"},
-        { title:"Debug Dungeon GPT", desc:"Debugging turned into a text-based RPG.", icon:"https://cdn-icons-png.flaticon.com/512/2953/2953531.png", categories:["Tools","Learning"], url:"https://chatgpt.com/g/g-68daba494c44819190c3757fc4236360-debug-dungeon-gpt?model=gpt-5"},
-        { title:"Code-to-Rap GPT", desc:"Explains code by rapping about it.", icon:"https://cdn-icons-png.flaticon.com/512/2769/2769747.png", categories:["Humor","Learning"], url:"https://chatgpt.com/g/g-68dab7f617cc819198b1432fe32cf307-code-to-rap-gpt?model=gpt-5"},
-        { title:"Bug Meme GPT", desc:"Turns bugs into instant memes.", icon:"https://cdn-icons-png.flaticon.com/512/3221/3221614.png", categories:["Humor","Tools"], url:"https://chatgpt.com/g/g-68dab3b8cebc819180d1b629ab574579-bug-meme-gpt?model=gpt-5"}
-      ];
-      const formattedGpts = allGpts.map(item => ({
-        id: uuidv4(),
-        createdAt: Date.now() - Math.floor(Math.random() * 1000000),
-        status: 'hidden',
-        featured: false,
-        title: item.title || item.name,
-        desc: item.desc || `A helpful assistant for ${item.name || item.title}.`,
-        icon: item.icon,
-        categories: item.categories || ["Languages"],
-        tags: item.tags || [],
-        url: item.url,
-      }));
-      const defaultData = { settings: { title: "GPTMart" }, items: formattedGpts };
-      await writeDB(defaultData);
-      return defaultData;
+      if (dryRun) assets.decodeDataUrl(value[field]);
+      else value[field] = await assetStore.saveDataUrl(value[field]);
+      return null;
+    } catch (e) {
+      return { [field]: e.message };
     }
   }
 
-  // --- ATOMIC WRITES W/ QUEUE ---
-  let isWriting = false;
-  const writeQueue = [];
-  async function writeDB(data) {
-    if (isWriting) { writeQueue.push(data); return; }
-    isWriting = true;
+  // starting catalog when the backend is empty (first run)
+  async function seedDB() {
+    const allGpts = [
+      { title:"jQuery Tutor", desc:"Learn and master jQuery: selectors, events, animations, DOM, AJAX, plugins, debugging, and modern alternatives.", icon:"https://www.vectorlogo.zone/logos/jquery/jquery-icon.svg", categories:["Frontend","Tools"], url:"https://chatgpt.com/g/g-68b859c4f6f88191b05a4effe7d2140a-jquery-tutor"},
+      { title:"ASP Tutor", desc:"Classic ASP + modern ASP.NET (C#). Server-side scripting, examples, debugging, and web app best practices.", icon:"https://cdn.iconscout.com/icon/free/png-256/asp-net-3-1175185.png", categories:["Backend","Languages"], url:"https://chatgpt.com/g/g-68b6eaad79e48191b3b2c487f0e60071-asp-tutor?model=gpt-5"},
+      { title:"Artificial Intelligence Mentor", desc:"ML, DL, NLP, CV, RL, and Generative AI. Runnable code, projects, and ethics — beginner to advanced.", icon:"https://upload.wikimedia.org/wikipedia/commons/b/b9/AI_logo_by_United_Blasters.png", categories:["AI & Automation","Data"], url:"https://chatgpt.com/g/g-68b6e97f95ac81918b262e088c05f522-artificial-intelligence-mentor"},
+      { title:"Sass Tutor", desc:"Master Sass/SCSS: variables, mixins, nesting, partials, imports, architecture. Real-world patterns and debugging.", icon:"https://cdn.iconscout.com/icon/free/png-256/sass-226059.png", categories:["Frontend","Design"], url:"https://chatgpt.com/g/g-68b6e8bf3d7881919c484523463fa967-sass-tutor?model=gpt-5"},
+      { title:"Vue Tutor", desc:"Vue components, props, events, router, Pinia/Vuex, Composition API, API integration.", icon:"https://upload.wikimedia.org/wikipedia/commons/9/95/Vue.js_Logo_2.svg", categories:["Frontend","Frameworks"], url:"https://chatgpt.com/g/g-68b6e70822048191a981d4994078c447-vue-tutor"},
+      { title:"Gen AI Mentor", desc:"LLMs, diffusion/GANs, audio/video models. Code, projects, and ethics — beginner to advanced.", icon:"https://miro.medium.com/v2/resize:fit:720/format:webp/1*vYurT8Cw7upWSOLJvUo0Mg.png", categories:["AI & Automation"], url:"https://chatgpt.com/g/g-68b6e5d5c7e08191ab8f644e7c87501f-gen-ai-mentor?model=gpt-5"},
+      { title:"SciPy Tutor", desc:"Optimization, linear algebra, signal processing, integration, interpolation, statistics — with examples.", icon:"https://upload.wikimedia.org/wikipedia/commons/b/b2/SCIPY_2.svg", categories:["Data","AI & Automation"], url:"https://chatgpt.com/g/g-68b6e4f4f8d081918945af5baad8eb97-scipy-tutor"},
+      { title:"Cybersecurity Mentor", desc:"Network security, encryption, ethical hacking basics, malware, risk, and best practices. Lessons + simulations.", icon:"https://cdn-icons-png.flaticon.com/512/3063/3063468.png", categories:["Security"], url:"https://chatgpt.com/g/g-68b6e41946448191af4377ad84dafe24-cybersecurity-mentor"},
+      { title:"Data Science Mentor", desc:"NumPy, Pandas, Matplotlib, scikit-learn. Tutorials, datasets, projects — beginner to advanced.", icon:"https://cdn-icons-png.flaticon.com/512/2967/2967262.png", categories:["Data","AI & Automation"], url:"https://chatgpt.com/g/g-68b6a06e44e881919c09ff648d64b0f3-data-science-mentor"},
+      { title:"Introduction to Programming", desc:"Start coding from zero. Variables, loops, functions. Python by default, C++/Java/JS optional.", icon:"https://cdn-icons-png.flaticon.com/512/1005/1005141.png", categories:["Learning","Languages"], url:"https://chatgpt.com/g/g-68b69ed77aec81919d3393e367baf046-introduction-to-programming"},
+      { title:"DSA Coach", desc:"Concepts, patterns, checklists, complexities, tests, multiple approaches. Python/C++/Java/JS.", icon:"https://cdn-icons-png.flaticon.com/512/5903/5903823.png", categories:["Learning","Interviews"], url:"https://chatgpt.com/g/g-68b69c9ea8d081918fb91d37f78ec3c3-dsa-coach"},
+      { title:"Responsive UI Coach (Bootstrap-ready)", desc:"Accessible components & pages. v3/v4→v5, utilities, fixes, CDN or npm/Sass.", icon:"https://cdn.iconscout.com/icon/free/png-256/bootstrap-226077.png", categories:["Frontend","Design"], url:"https://chatgpt.com/g/g-68b697b5913c81918e64a23a52138255-responsive-ui-coach-bootstrap-ready"},
+      { title:"Sedative", desc:"Talk to me to sleep. no cap.", icon:"https://cdn-icons-png.flaticon.com/512/3223/3223652.png", categories:["Lifestyle"], url:"https://chatgpt.com/g/g-688363b4125c8191bb950c37778ab4d0-sedative?model=gpt-4o"},
+      { title:"Global Football Hub", desc:"ESPN FC, UEFA, Transfermarkt, FIFA, FBref. News, tables, verified info.", icon:"https://cdn-icons-png.flaticon.com/512/280/280766.png", categories:["Sports"], url:"https://chatgpt.com/g/g-6878f74104908191b0ae0f9a513c392b-global-football-hub?model=gpt-4o"},
+      { title:"Freeware finder", desc:"Find quality free software/services fast.", icon:"https://cdn-icons-png.flaticon.com/512/3223/3223652.png", categories:["Search","Tools"], url:"https://chatgpt.com/g/g-6873b6d56ae0819192702a6ab83a9006-freeware-finder?model=gpt-4o"},
+      { title:"Blasphemy -- Holy Heresy,Divine Rebellion", desc:"Explore controversial, sacred, and forbidden ideas — religion, philosophy, truth beyond tradition.", icon:"https://upload.wikimedia.org/wikipedia/commons/4/41/Blasphemous_logo.png", categories:["Philosophy"], url:"https://chatgpt.com/g/g-68652a058b348191ba363415dda6bf23-blasphemy-holy-heresy-divine-rebellion?model=gpt-4o"},
+      { title:"Spam & Scam Detector – Protect Your Inbox", desc:"Detect scams, spam, phishing in email/SMS/DMs. AI-powered protection.", icon:"https://cdn-icons-png.flaticon.com/512/2926/2926715.png", categories:["Security","Tools"], url:"https://chatgpt.com/g/g-686522599f78819196f796d8f20dc5a7-spam-scam-detector-protect-your-inbox?model=gpt-4o"},
+      { title:"Error Detector – Spot, Explain, Fix", desc:"Bugs in code, grammar flaws, logic errors, factual inaccuracies. Detect, explain, fix.", icon:"https://cdn-icons-png.flaticon.com/512/1055/1055673.png", categories:["Tools"], url:"https://chatgpt.com/g/g-68651a7bd7a081919b9e95ed139b1d4c-error-detector-spot-explain-fix?model=gpt-4o"},
+      { title:"Lisp/Scheme", desc:"Harness Lisp’s legendary power for AI and elegant computation.", icon:"https://upload.wikimedia.org/wikipedia/commons/4/48/Lisp_logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67efc6a389cc8191a9a54ed9633c8d9c-lisp-scheme"},
+      { title:"PowerShell", desc:"Scripting, Windows automation, admin tasks, WMI, AD — pro-grade helper.", icon:"https://upload.wikimedia.org/wikipedia/commons/a/a1/Powershell_128.svg", categories:["Languages","Automation"], url:"https://chatgpt.com/g/g-67efc250595c81918bf818005ac8dded-powershell?model=gpt-5"},
+      { title:"Perl", desc:"Regex, parsing, automation, modules — for devs, analysts, and sysadmins.", icon:"https://upload.wikimedia.org/wikipedia/commons/3/34/Perl-logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67efc0f669848191bb17090ea0ac5aab-perl?model=gpt-4o"},
+      { title:"Bash", desc:"Automate tasks, scripts, terminal mastery — loops, cron, file ops.", icon:"https://upload.wikimedia.org/wikipedia/commons/5/52/Bash-tip.svg", categories:["Languages","Automation"], url:"https://chatgpt.com/g/g-67efbf3da2048191b28d875c2c041130-bash?model=gpt-4o"},
+      { title:"MATLAB", desc:"Matrix math, simulations, analysis, toolboxes, debugging — for students and pros.", icon:"https://upload.wikimedia.org/wikipedia/commons/2/21/Matlab_Logo.png", categories:["Languages","Data"], url:"https://chatgpt.com/g/g-67efbdf8604c8191b48f2596faa7c13a-matlab"},
+      { title:"Julia", desc:"High-performance Julia for scientific computing and data science.", icon:"https://upload.wikimedia.org/wikipedia/commons/a/ae/Julia_logo_circles.svg", categories:["Languages","Data"], url:"https://chatgpt.com/g/g-67efbca1eb9481919f6d08d23dcdd14e-julia"},
+      { title:"TypeScript", desc:"Types, interfaces, generics, debugging. Ideal for React/Node/full-stack.", icon:"https://upload.wikimedia.org/wikipedia/commons/4/4c/Typescript_logo_2020.svg", categories:["Languages","Frontend"], url:"https://chatgpt.com/g/g-67efb97be07c8191b266b92f5e095c99-typescript"},
+      { title:"Rust", desc:"Ownership, lifetimes, crates, zero-cost abstractions — fearless systems dev.", icon:"https://upload.wikimedia.org/wikipedia/commons/d/d5/Rust_programming_language_black_logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef6d3bd4d081919fb3b0cec36e487a-rust"},
+      { title:"Kotlin", desc:"Android, backend, multiplatform. Coroutines, Jetpack, OOP, clean architecture.", icon:"https://upload.wikimedia.org/wikipedia/commons/3/3d/Kotlin_icon_%282016-2021%29.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef6bda03888191a399bb2ec8dddb80-kotlin"},
+      { title:"Ruby", desc:"Scripts, automation, web (Rails), debugging. For beginners to ninjas.", icon:"https://upload.wikimedia.org/wikipedia/commons/7/73/Ruby_logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef69f3d4488191b55dd9d6fa0b5b4a-ruby"},
+      { title:"C#", desc:".NET, Unity, OOP, LINQ, async. Build games, apps, enterprise systems.", icon:"https://upload.wikimedia.org/wikipedia/commons/b/bd/Logo_C_sharp.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef690a075c8191a17713ad997799ff-c"},
+      { title:"C", desc:"Syntax, pointers, memory, performance — efficient low-level code.", icon:"https://upload.wikimedia.org/wikipedia/commons/1/18/C_Programming_Language.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef67c3b83481918336d1c4ddfd5600-c"},
+      { title:"SQL", desc:"Queries, joins, indexing, optimization, schema design — beginner to pro.", icon:"https://upload.wikimedia.org/wikipedia/commons/d/d7/Sql_data_base_with_logo.svg", categories:["Data"], url:"https://chatgpt.com/g/g-67ef62fdcdd081918ce75b1c878f43f4-sql"},
+      { title:"GO (Golang)", desc:"APIs, microservices, CLIs — fast, concurrent, idiomatic Go.", icon:"https://upload.wikimedia.org/wikipedia/commons/0/05/Go_Logo_Blue.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef61ba9f588191bf95969b202cbb40-go-golang"},
+      { title:"R", desc:"Tidyverse, ggplot2, ML, research workflows — for analysts and researchers.", icon:"https://upload.wikimedia.org/wikipedia/commons/1/1b/R_logo.svg", categories:["Languages","Data"], url:"https://chatgpt.com/g/g-67ef6038ca98819185f6220127732863-r"},
+      { title:"Swift", desc:"Swift & SwiftUI for Apple platforms. Animations, APIs, UI design.", icon:"https://cdn.worldvectorlogo.com/logos/swift-15.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef5efbde6c8191b42c15244c8a1a78-swift?model=gpt-4o"},
+      { title:"Java", desc:"Clean OOP, Android/back-end systems, DSA, debugging.", icon:"https://upload.wikimedia.org/wikipedia/it/2/2e/Java_Logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67ef5e1c6e9c8191b70a38f779ffa6e6-java?model=gpt-4o"},
+      { title:"React", desc:"Build fast component-based UIs with hooks & state.", icon:"https://upload.wikimedia.org/wikipedia/commons/a/a7/React-icon.svg", categories:["Frontend","Frameworks"], url:"https://chatgpt.com/g/g-67ef5d4d75a48191aa49f525af48e4d9-react"},
+      { title:"HTML&CSS", desc:"Responsive layouts, flexbox, grid, forms, animations — clean design help.", icon:"https://upload.wikimedia.org/wikipedia/commons/6/61/HTML5_logo_and_wordmark.svg", categories:["Frontend","Design"], url:"https://chatgpt.com/g/g-67ef5b2d70bc81918d9a5c2877de14d7-html-css?model=gpt-4o"},
+      { title:"Python", desc:"Scripting, automation, data science, AI — clean code and real-world use cases.", icon:"https://upload.wikimedia.org/wikipedia/commons/c/c3/Python-logo-notext.svg", categories:["Languages","AI & Automation"], url:"https://chatgpt.com/g/g-67ef5a74409081919143341dc018e522-python?model=gpt-5"},
+      { title:"JavaScript", desc:"Modern JS — ES6+, DOM, async, Node.js. Debugging & best practices.", icon:"https://upload.wikimedia.org/wikipedia/commons/9/99/Unofficial_JavaScript_logo_2.svg", categories:["Languages","Frontend"], url:"https://chatgpt.com/g/g-67ef55adf8bc8191b0ed342c54a7ffed-javascript"},
+      { title:"c++ cpp", desc:"Write, debug, and learn modern C++ with STL. Basics to advanced & competitive programming.", icon:"https://upload.wikimedia.org/wikipedia/commons/1/18/ISO_C%2B%2B_Logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-67e5dd64ae48819198a2a7ec557a70ce-c-cpp"},
+      { title:"Part-Time Canada 🇨🇦💼", desc:"Find part-time jobs in Canada. Resume help, interview prep, and job search guidance.", icon:"https://cdn-icons-png.flaticon.com/512/1041/1041926.png", categories:["Careers"], url:"https://chatgpt.com/g/g-67e0199bba8c8191b4b18babb5e4371b-part-time-canada?model=gpt-4o"},
+      { title:"Part-Time USA 🇺🇸💼", desc:"Find part-time jobs in the USA. Resume help, interview prep, and job search guidance.", icon:"https://cdn-icons-png.flaticon.com/512/1041/1041926.png", categories:["Careers"], url:"https://chatgpt.com/g/g-67e013d13f94819184fcb52c29055801-part-time-usa?model=gpt-4o"},
+      { title:"Task Master", desc:"Master your time, crush your goals. Zero overwhelm.", icon:"https://cdn-icons-png.flaticon.com/512/1005/1005141.png", categories:["Productivity"], url:"https://chatgpt.com/g/g-67dea8dbd7308191ad830a0bf253cad3-task-master-mind?model=gpt-4o"},
+      { title:"PHP", desc:"A sharp PHP helper for modern backend work: PHP 8.3 syntax, Composer, Laravel/Symfony, WordPress hooks, secure PDO, DX tips, benchmarks, and bug-fixing.", icon:"https://www.php.net/images/logos/new-php-logo.svg", categories:["Languages"], url:"https://chatgpt.com/g/g-68cbbcf3baac81918fd5ec4667a31a0e-php-pro-studio?model=gpt-5"},
+      { title:"CS Roast Battle GPT", desc:"Roasts entire programming languages.", icon:"https://cdn-icons-png.flaticon.com/512/3069/3069151.png", categories:["Humor","Languages"], url:"https://chatgpt.com/g/g-68dac3d327d88191a9eaa7acf549e9f3-cs-roast-battle-gpt?model=gpt-5"},
+      { title:"Startup Pitch GPT", desc:"Turns random code into billion-dollar startup pitches.", icon:"https://cdn-icons-png.flaticon.com/512/3135/3135728.png", categories:["Humor","Careers"], url:"https://chatgpt.com/g/g-68dac274b17c819184887dd80271c125-startup-pitch-gpt?model=gpt-5"},
+      { title:"Haunted Compiler GPT", desc:"Acts like your compiler is possessed.", icon:"https://cdn-icons-png.flaticon.com/512/2873/2873646.png", categories:["Humor"], url:"https://chatgpt.com/g/g-68dac0df1cf88191aaff7952ea764a39-haunted-compiler-gpt?model=gpt-5"},
+      { title:"Code Horror Stories GPT", desc:"Tells creepy campfire stories about bugs.", icon:"https://cdn-icons-png.flaticon.com/512/1792/1792942.png", categories:["Humor"], url:"https://chatgpt.com/g/g-68dac00c2b3481918393a8d577d44408-code-horror-stories-gpt"},
+      { title:"StackOverflow Parrot GPT", desc:"The sassiest dev bot alive. Ask it anything and get roasted like you're on StackOverflow...", icon:"https://cdn-icons-png.flaticon.com/512/2926/2926725.png", categories:["Humor","Tools"], url:"https://chatgpt.com/g/g-68dabe58efc88191b7b5340395c98de7-stackoverflow-parrot-gpt?model=gpt-5"},
+      { title:"Meme Compiler GPT", desc:"Compiles errors into memes.", icon:"https://cdn-icons-png.flaticon.com/512/3221/3221596.png", categories:["Humor","Tools"], url:"https://chatgpt.com/g/g-68dabd397b3c8191a464c3e7e6aa6cab-meme-compiler-gpt?model=gpt-5"},
+      { title:"Code Reviewer From Hell GPT", desc:"Roasts your code brutally but hilariously.", icon:"https://cdn-icons-png.flaticon.com/512/2613/2613106.png", categories:["Humor","Tools"], url:"https://chatgpt.com/g/g-68dabbb898a8819182b05c6c3bb15150-code-reviewer-from-hell-gpt?model=gpt-5"},
+      { title:"Debug Dungeon GPT", desc:"Debugging turned into a text-based RPG.", icon:"https://cdn-icons-png.flaticon.com/512/2953/2953531.png", categories:["Tools","Learning"], url:"https://chatgpt.com/g/g-68daba494c44819190c3757fc4236360-debug-dungeon-gpt?model=gpt-5"},
+      { title:"Code-to-Rap GPT", desc:"Explains code by rapping about it.", icon:"https://cdn-icons-png.flaticon.com/512/2769/2769747.png", categories:["Humor","Learning"], url:"https://chatgpt.com/g/g-68dab7f617cc819198b1432fe32cf307-code-to-rap-gpt?model=gpt-5"},
+      { title:"Bug Meme GPT", desc:"Turns bugs into instant memes.", icon:"https://cdn-icons-png.flaticon.com/512/3221/3221614.png", categories:["Humor","Tools"], url:"https://chatgpt.com/g/g-68dab3b8cebc819180d1b629ab574579-bug-meme-gpt?model=gpt-5"}
+    ];
+    const formattedGpts = allGpts.map(item => ({
+      id: uuidv4(),
+      createdAt: Date.now() - Math.floor(Math.random() * 1000000),
+      status: 'hidden',
+      featured: false,
+      title: item.title || item.name,
+      desc: item.desc || `A helpful assistant for ${item.name || item.title}.`,
+      icon: item.icon,
+      categories: item.categories || ["Languages"],
+      tags: item.tags || [],
+      url: item.url,
+    }));
+    return { settings: { title: "GPTMart" }, items: formattedGpts };
+  }
+
+  // --- SEARCH INDEX (rebuilt lazily after writes) ---
+  let searchIndex = null;
+  function getSearchIndex(db) {
+    if (!searchIndex) searchIndex = search.buildIndex(db.items.filter(i => i.status === 'live'));
+    return searchIndex;
+  }
+
+  // --- RATINGS & FAVORITES (anonymous visitors, see lib/ratings.js) ---
+  // votes are buffered like clicks and flushed in batches; readers see them through votesView
+  const voteBuffer = ratings.createVoteBuffer();
+  const VOTE_FLUSH_MS = 5 * 1000;
+  let voteFlushTimer = null;
+  async function flushVotes() {
+    clearTimeout(voteFlushTimer); voteFlushTimer = null;
+    if (!voteBuffer.size) return;
+    const drained = voteBuffer.drain();
     try {
-      const tmpPath = DB_PATH + '.tmp';
-      await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
-      await fs.rename(tmpPath, DB_PATH); // atomic replace
-    } finally {
-      isWriting = false;
-      if (writeQueue.length > 0) writeDB(writeQueue.shift());
+      await updateDB(db => { ratings.applyVotes(db, drained); });
+    } catch (err) {
+      voteBuffer.restore(drained); // keep the votes for the next flush
+      throw err;
+    }
+  }
+  function scheduleVoteFlush() {
+    if (!voteFlushTimer) {
+      voteFlushTimer = setTimeout(() => flushVotes().catch(err => { console.error('Vote flush failed:', err); scheduleVoteFlush(); }), VOTE_FLUSH_MS);
     }
   }
+  const votesView = db => ratings.withVotes(db, voteBuffer.pending());
 
-  // --- AUTH (memory) ---
-  const sessions = {};
-  function createToken(data) {
-    const token = uuidv4();
-    sessions[token] = { user: data, expires: Date.now() + 3600 * 1000 }; // 1h
-    return token;
+  let ratingStats = null;
+  function getRatingStats(db) {
+    if (!ratingStats) ratingStats = ratings.summarize(votesView(db));
+    return ratingStats;
   }
-  function verifyTokenValue(token) {
-    const s = token && sessions[token];
-    if (s && s.expires > Date.now()) return s.user;
-    if (s) delete sessions[token];
-    return null;
+  // public aggregate shown on cards
+  function ratingOf(stats, itemId) {
+    const s = stats.get(itemId);
+    return { rating: { avg: s ? s.avg : 0, count: s ? s.count : 0 }, favorites: s ? s.favorites : 0 };
   }
+  // an item as the public API shows it: whitelisted fields plus its rating
+  const publicItem = (item, stats) => ({ ...itemModel.publicView(item), ...ratingOf(stats, item.id) });
 
-  // constant-time PIN compare
-  function checkPin(supplied) {
-    const a = Buffer.from(ADMIN_PIN);
-    const b = Buffer.from(String(supplied || '').trim());
-    if (a.length !== b.length) return false;
-    return crypto.timingSafeEqual(a, b);
+  const visitorIds = ratings.createVisitorIds(VISITOR_SECRET);
+  const VISITOR_COOKIE_MAX_AGE = 400 * 24 * 3600;
+  // signed id from the cookie, or the X-Visitor header when third-party cookies are blocked;
+  // a new one is issued (cookie + header) when neither is valid
+  function visitorFor(req, res) {
+    const id = visitorIds.verify(req.headers['x-visitor']) || visitorIds.verify(readCookie(req, 'visitor'));
+    if (id) return id;
+    const issued = visitorIds.issue();
+    res.setHeader('Set-Cookie', `visitor=${issued.token}; HttpOnly; Path=/; SameSite=None; Secure; Max-Age=${VISITOR_COOKIE_MAX_AGE}`);
+    res.setHeader('X-Visitor', issued.token);
+    return issued.id;
   }
 
-  // parse body helper (JSON or form) with size limit
-  function parseBody(req, maxBytes = 2_500_000) {
+  // --- AUTH (accounts + sessions in DATA_DIR/auth.json, see lib/auth.js) ---
+  const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+  const failedLoginsByIp = createRateLimiter({ windowMs: LOGIN_WINDOW_MS, max: 10 });
+  // per account, whatever address the attempts come from
+  const failedLoginsByUser = createRateLimiter({ windowMs: LOGIN_WINDOW_MS, max: 5 });
+
+  function sessionCookie(token, maxAgeSec) {
+    return [
+      `session=${encodeURIComponent(token)}`,
+      'HttpOnly',
+      'Path=/',
+      'SameSite=None',
+      'Secure',
+      `Max-Age=${maxAgeSec}`
+    ].join('; ');
+  }
+
+  // a malformed value (bad %-escape) reads as missing
+  function readCookie(req, name) {
+    const cookieHeader = req.headers.cookie || '';
+    return cookieHeader.split(';').map(s => s.trim())
+      .map(kv => kv.split('='))
+      .reduce((acc,[k,v]) => (k===name ? safeDecode(v||'') : acc), null);
+  }
+
+  // bearer header first, then the session cookie
+  function sessionToken(req) {
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) return authHeader.slice(7);
+    return readCookie(req, 'session');
+  }
+
+  // route -> permission required (see auth.PERMISSIONS); item updates are checked per payload
+  function requiredPermission(pathname, method) {
+    if (pathname === '/api/me') return null;
+    if (pathname === '/api/users' || pathname.startsWith('/api/users/')) return 'users:manage';
+    if (method === 'GET') return 'items:read';
+    if (pathname.startsWith('/api/gpts/update/') || /^\/api\/gpts\/[^/]+\/moderate$/.test(pathname)) return 'items:moderate';
+    if (/^\/api\/gpts\/[^/]+\/ratings$/.test(pathname) || pathname.startsWith('/api/ratings/')) return 'items:moderate';
+    return 'items:edit';
+  }
+
+  // raw body as text with size limit
+  function readRawBody(req, maxBytes = 2_500_000) {
     return new Promise((resolve, reject) => {
       let body = '';
       let size = 0;
@@ -148,43 +326,131 @@ async function startServer() {
         }
         body += chunk.toString();
       });
-      req.on('end', () => {
-        const ct = (req.headers['content-type'] || '').toLowerCase();
-        try {
-          if (ct.includes('application/json')) resolve(JSON.parse(body || '{}'));
-          else if (ct.includes('application/x-www-form-urlencoded')) resolve(querystring.parse(body));
-          else {
-            try { resolve(JSON.parse(body || '{}')); }
-            catch { resolve({ raw: body }); }
-          }
-        } catch (e) { reject(e); }
-      });
+      req.on('end', () => resolve(body));
       req.on('error', reject);
     });
   }
 
+  // parse body helper (JSON or form) with size limit
+  async function parseBody(req, maxBytes = 2_500_000) {
+    const body = await readRawBody(req, maxBytes);
+    const ct = (req.headers['content-type'] || '').toLowerCase();
+    if (ct.includes('application/json')) return JSON.parse(body || '{}');
+    if (ct.includes('application/x-www-form-urlencoded')) return querystring.parse(body);
+    try { return JSON.parse(body || '{}'); }
+    catch { return { raw: body }; }
+  }
+
+  // write a chunk, waiting for the socket to drain when its buffer is full;
+  // rejects once the client has gone away, so an aborted stream stops instead of hanging
+  function writeChunk(res, chunk) {
+    if (res.destroyed) return Promise.reject(new Error('Client closed the connection'));
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onDrain = () => { res.off('close', onClose); resolve(); };
+      const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed the connection')); };
+      res.once('drain', onDrain);
+      res.once('close', onClose);
+    });
+  }
+
   // CORS helper
   function setCORS(req, res) {
     const origin = req.headers.origin || 'https://www.gptmrt.com';
     res.setHeader('Access-Control-Allow-Origin', origin);
     res.setHeader('Vary', 'Origin');
     res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Visitor');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Session-Token, X-Visitor, Retry-After');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
   }
 
-  // simple IP rate-limit store for /api/gpts/submit
-  const submitHits = new Map();
-  function allowSubmit(ip) {
-    const now = Date.now(), windowMs = 5 * 60 * 1000, maxHits = 5;
-    const arr = (submitHits.get(ip) || []).filter(ts => now - ts < windowMs);
-    if (arr.length >= maxHits) return false;
-    arr.push(now); submitHits.set(ip, arr);
-    return true;
+  // 400 with per-field messages (see lib/item-model.js)
+  const invalid = errors => [400, { error: 'Validation failed', fields: errors }];
+
+  // run a mutation as one transaction, then send the [status, body] it returned.
+  // Replying only after the commit means a client never sees a change that wasn't saved.
+  async function respondAfter(res, fn) {
+    const [status, body] = await updateDB(fn);
+    res.writeHead(status).end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  // base URL for server-rendered pages and feeds. Without SITE_URL pages link relatively;
+  // feeds and the sitemap need absolute URLs, so they fall back to the request's Host
+  // and must not be cached publicly (see publicCache), or a spoofed Host would stick.
+  function siteFor(req, db, { absolute = false } = {}) {
+    let url = SITE_URL;
+    if (!url && absolute) {
+      const proto = (req.headers['x-forwarded-proto'] || '').split(',')[0].trim() || (req.socket.encrypted ? 'https' : 'http');
+      url = `${proto}://${req.headers.host}`;
+    }
+    return { url, name: (db.settings && db.settings.title) || 'GPTMart', home: STOREFRONT_URL };
+  }
+  const publicCache = (maxAge, { hostDependent = false } = {}) =>
+    (hostDependent && !SITE_URL ? 'private, no-store' : `public, max-age=${maxAge}`);
+
+  // decodeURIComponent for path segments; null for malformed escapes (e.g. %E0) instead of throwing
+  function safeDecode(s) {
+    try { return decodeURIComponent(s); }
+    catch { return null; }
+  }
+
+  // the socket address; X-Forwarded-For is client-controlled, so only its last
+  // entry (added by our own proxy) counts, and only with TRUST_PROXY set
+  function clientIp(req) {
+    const forwarded = TRUST_PROXY ? (req.headers['x-forwarded-for'] || '').split(',').pop().trim() : '';
+    return forwarded || req.socket.remoteAddress || 'unknown';
+  }
+
+  // --- CLICK TRACKING (buffered in memory, flushed to db.clicks) ---
+  const clickTracker = clicks.createClickTracker();
+  const CLICK_FLUSH_MS = 10 * 1000;
+  let clickFlushTimer = null;
+  async function flushClicks() {
+    clearTimeout(clickFlushTimer); clickFlushTimer = null;
+    if (!clickTracker.size) return;
+    const drained = clickTracker.drain();
+    try {
+      await updateDB(db => clicks.applyClicks(db, drained));
+    } catch (err) {
+      clickTracker.restore(drained); // keep the counts for the next flush
+      throw err;
+    }
+  }
+  function scheduleClickFlush() {
+    if (!clickFlushTimer) {
+      clickFlushTimer = setTimeout(() => flushClicks().catch(err => { console.error('Click flush failed:', err); scheduleClickFlush(); }), CLICK_FLUSH_MS);
+    }
+  }
+
+  // --- SCHEDULE: publishAt / unpublishAt / featured windows on items and collections ---
+  const SCHEDULE_SWEEP_MS = 30 * 1000;
+  const SCHEDULER = { user: 'scheduler' };
+  async function runSchedule(now = Date.now()) {
+    const current = await readDB();
+    if (!schedule.isDue(current.items, now) && !schedule.isDue(current.collections, now)) return;
+    await updateDB(db => {
+      for (const { before, after } of schedule.applyDue(db.items, now)) {
+        const action = audit.itemAction(schedule.withoutSchedule(before), schedule.withoutSchedule(after));
+        audit.record(db, { actor: SCHEDULER, action, itemId: after.id, before, after, note: 'scheduled' });
+      }
+      for (const { before, after } of schedule.applyDue(db.collections, now)) {
+        audit.record(db, { actor: SCHEDULER, action: 'collection.update', before, after, note: 'scheduled' });
+      }
+    });
   }
 
+  // simple IP rate-limit for /api/gpts/submit
+  const submitLimiter = createRateLimiter({ windowMs: 5 * 60 * 1000, max: 5 });
+  const allowSubmit = ip => submitLimiter.take(ip);
+  // same idea for ratings/favorites: per visitor, and a looser per-IP cap against cookie churn
+  const VOTE_WINDOW_MS = 10 * 60 * 1000;
+  const votesByVisitor = createRateLimiter({ windowMs: VOTE_WINDOW_MS, max: 30 });
+  const votesByIp = createRateLimiter({ windowMs: VOTE_WINDOW_MS, max: 120 });
+  const allowVote = (ip, visitor) => !votesByIp.isLimited(ip) && votesByVisitor.take(visitor) && votesByIp.take(ip);
+
   // --- SERVER ---
-  const server = http.createServer(async (req, res) => {
+  async function handleRequest(req, res) {
     const url = new URL(req.url, `http://${req.headers.host}`);
     const method = req.method;
 
@@ -199,6 +465,66 @@ async function startServer() {
       return;
     }
 
+    // Outbound click: count it, then send the visitor on to ChatGPT
+    if (url.pathname.startsWith('/go/') && method === 'GET') {
+      const id = safeDecode(url.pathname.slice('/go/'.length));
+      const db = await readDB();
+      const item = db.items.find(i => i.id === id && i.status === 'live');
+      if (!item) { res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found'); return; }
+      if (clickTracker.hit(item.id, { ip: clientIp(req), ua: req.headers['user-agent'] || '' })) scheduleClickFlush();
+      res.writeHead(302, { Location: item.url, 'Cache-Control': 'no-store' }).end();
+      return;
+    }
+
+    // Public GPT detail page
+    if (url.pathname.startsWith('/gpt/') && method === 'GET') {
+      const db = await readDB();
+      const site = siteFor(req, db);
+      const item = publishing.findLiveBySlug(db.items, safeDecode(url.pathname.slice('/gpt/'.length)));
+      if (!item) { res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' }).end(pages.notFoundPage(site)); return; }
+      const html = pages.itemPage(site, item, { related: publishing.related(db.items, item), categories: db.categories, rating: getRatingStats(db).get(item.id) });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': publicCache(300) }).end(html);
+      return;
+    }
+
+    // Public category page
+    if (url.pathname.startsWith('/category/') && method === 'GET') {
+      const db = await readDB();
+      const site = siteFor(req, db);
+      const cat = taxonomy.findBySlug(db.categories, safeDecode(url.pathname.slice('/category/'.length)));
+      if (!cat) { res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' }).end(pages.notFoundPage(site)); return; }
+      const items = publishing.latest(db.items.filter(i => (i.categories || []).includes(cat.name)), Infinity)
+        .sort((a, b) => (b.featured === true) - (a.featured === true));
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': publicCache(300) }).end(pages.categoryPage(site, cat, items));
+      return;
+    }
+
+    // Feeds of newly published GPTs, and the sitemap
+    if ((url.pathname === '/feed.xml' || url.pathname === '/feed.json') && method === 'GET') {
+      const db = await readDB();
+      const site = siteFor(req, db, { absolute: true });
+      const items = publishing.latest(db.items);
+      const atom = url.pathname === '/feed.xml';
+      res.writeHead(200, {
+        'Content-Type': atom ? 'application/atom+xml; charset=utf-8' : 'application/feed+json; charset=utf-8',
+        'Cache-Control': publicCache(600, { hostDependent: true }),
+      }).end(atom ? pages.atomFeed(site, items) : pages.jsonFeed(site, items));
+      return;
+    }
+    if (url.pathname === '/sitemap.xml' && method === 'GET') {
+      const db = await readDB();
+      const site = siteFor(req, db, { absolute: true });
+      const live = db.items.filter(i => i.status === 'live');
+      const modified = publishing.lastModified(db);
+      const counts = taxonomy.liveCounts(db.items);
+      const entries = [
+        ...live.map(i => ({ loc: pages.itemUrl(site, i), lastmod: modified.get(i.id) || i.publishedAt })),
+        ...taxonomy.sortCategories(db.categories).filter(c => counts.get(c.name)).map(c => ({ loc: pages.categoryUrl(site, c) })),
+      ];
+      res.writeHead(200, { 'Content-Type': 'application/xml; charset=utf-8', 'Cache-Control': publicCache(3600, { hostDependent: true }) }).end(pages.sitemap(entries));
+      return;
+    }
+
     // Health check
     if (url.pathname === '/api/health' && method === 'GET') {
       res.writeHead(200, { 'Content-Type': 'application/json' })
@@ -210,25 +536,30 @@ async function startServer() {
     if (url.pathname.startsWith('/api/')) {
       res.setHeader('Content-Type', 'application/json');
 
-      // LOGIN
+      // LOGIN: { username, password }; a bare { pin } still signs in as ADMIN_USER
       if (url.pathname === '/api/login' && method === 'POST') {
         try {
+          const ip = clientIp(req);
           const body = await parseBody(req);
-          const pin = body.pin ?? body.PIN ?? body.passcode ?? body.password ?? '';
-          if (checkPin(pin)) {
-            const token = createToken({ user: 'admin' });
-            const cookie = [
-              `session=${encodeURIComponent(token)}`,
-              'HttpOnly',
-              'Path=/',
-              'SameSite=None',
-              'Secure',
-              'Max-Age=3600'
-            ].join('; ');
-            res.setHeader('Set-Cookie', cookie);
-            res.writeHead(200).end(JSON.stringify({ success: true, token }));
+          const username = String(body.username || ADMIN_USER).trim().toLowerCase();
+          const password = String(body.password ?? body.pin ?? body.PIN ?? body.passcode ?? '');
+          const userKey = `user:${username}`;
+          if (failedLoginsByIp.isLimited(ip) || failedLoginsByUser.isLimited(userKey)) {
+            const wait = Math.max(failedLoginsByIp.retryAfterMs(ip), failedLoginsByUser.retryAfterMs(userKey));
+            res.setHeader('Retry-After', String(Math.ceil(wait / 1000)));
+            res.writeHead(429).end(JSON.stringify({ error: 'Too many failed logins. Try again later.' }));
+            return;
+          }
+          const account = await authStore.verifyPassword(username, password);
+          if (account) {
+            failedLoginsByUser.reset(userKey);
+            const token = await authStore.createSession(account.username);
+            res.setHeader('Set-Cookie', sessionCookie(token, authStore.SESSION_TTL_MS / 1000));
+            res.writeHead(200).end(JSON.stringify({ success: true, token, user: { username: account.username, role: account.role } }));
           } else {
-            res.writeHead(401).end(JSON.stringify({ error: 'Invalid PIN' }));
+            failedLoginsByIp.hit(ip);
+            failedLoginsByUser.hit(userKey);
+            res.writeHead(401).end(JSON.stringify({ error: 'Invalid username or password' }));
           }
         } catch {
           res.writeHead(400).end(JSON.stringify({ error: 'Invalid request body' }));
@@ -236,106 +567,572 @@ async function startServer() {
         return;
       }
 
+      // LOGOUT: revoke the session server-side and clear the cookie
+      if (url.pathname === '/api/logout' && method === 'POST') {
+        const token = sessionToken(req);
+        if (token) await authStore.revokeSession(token);
+        res.setHeader('Set-Cookie', sessionCookie('', 0));
+        res.writeHead(200).end(JSON.stringify({ success: true }));
+        return;
+      }
+
       // PUBLIC LIST (no auth)
       if (url.pathname === '/api/gpts/public' && method === 'GET') {
         const db = await readDB();
-        const publicItems = db.items.filter(i => i.status === 'live');
-        res.writeHead(200).end(JSON.stringify({ settings: db.settings, items: publicItems }));
+        const opts = search.parseQuery(url.searchParams);
+        const stats = getRatingStats(db);
+        let signals = null;
+        if (search.SIGNAL_SORTS.includes(opts.sort)) {
+          signals = clicks.metrics(db);
+          // unrated items rank at the prior, not below every rated one
+          for (const item of getSearchIndex(db).docs) {
+            const s = stats.get(item.id);
+            signals.set(item.id, { ...signals.get(item.id), rating: s && s.count ? s.score : stats.prior });
+          }
+        }
+        const result = search.query(getSearchIndex(db), opts, signals);
+        result.items = result.items.map(i => publicItem(i, stats));
+        res.writeHead(200).end(JSON.stringify({ settings: db.settings, ...result }));
         return;
       }
 
       // PUBLIC SUBMIT (no auth) -> creates pending item
       if (url.pathname === '/api/gpts/submit' && method === 'POST') {
         try {
-          const ip = (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress || 'unknown';
+          const ip = clientIp(req);
           if (!allowSubmit(ip)) { res.writeHead(429).end(JSON.stringify({ error: 'Too many submissions. Try later.' })); return; }
 
           const body = await parseBody(req, 2_500_000);
-          const title = String(body.title || '').trim().slice(0, 120);
-          const urlStr = String(body.url || '').trim().slice(0, 1000);
-          const icon = String(body.icon || '').trim().slice(0, 1_500_000);
-          const desc = String(body.desc || '').trim().slice(0, 800);
-          const categories = Array.isArray(body.categories) ? body.categories.slice(0, 10).map(s=>String(s).trim().slice(0,40)) : [];
-          const tags = Array.isArray(body.tags) ? body.tags.slice(0, 20).map(s=>String(s).trim().slice(0,32)) : [];
-
-          if (!title) { res.writeHead(400).end(JSON.stringify({ error:'Title is required' })); return; }
-          if (!/^https:\/\/chatgpt\.com\/g\//i.test(urlStr)) { res.writeHead(400).end(JSON.stringify({ error:'ChatGPT link must start with https://chatgpt.com/g/...' })); return; }
-          if (icon && !(/^data:image\/(png|jpeg|webp);base64,/i.test(icon) || /^https?:\/\//i.test(icon))) {
-            res.writeHead(400).end(JSON.stringify({ error:'Icon must be an http(s) URL or data:image/*;base64 URL' })); return;
+          await respondAfter(res, async db => {
+            const { value, errors } = itemModel.validateItem(body, { fields: itemModel.SUBMIT_FIELDS, categories: db.categories });
+            if (errors) return invalid(errors);
+
+            // same GPT (by g-… id, ignoring slug and ?model=) already listed or waiting
+            const dup = duplicates.findExact(db.items, value.url);
+            if (dup) {
+              // only a live listing is named; other submissions and hidden items stay private
+              return [409, dup.status === 'live' ? {
+                error: 'This GPT is already listed.',
+                fields: { url: 'Duplicate of an existing GPT' },
+                duplicateOf: { id: dup.id, title: dup.title, slug: dup.slug }
+              } : {
+                error: 'This GPT has already been submitted and is awaiting review.',
+                fields: { url: 'Duplicate of an existing GPT' }
+              }];
+            }
+
+            const iconErrors = await ingestIcon(value);
+            if (iconErrors) return invalid(iconErrors);
+
+            const tracking = moderation.createTrackingToken();
+            const item = {
+              id: uuidv4(),
+              ...itemModel.withDefaults(value),
+              featured: false,
+              status: 'pending',
+              createdAt: Date.now(),
+              submittedBy: ip,
+              trackingHash: tracking.hash
+            };
+            const near = duplicates.findNear(db.items, item);
+            if (near.length) item.possibleDuplicates = near;
+            db.items.push(item);
+            audit.record(db, { actor: { user: 'submitter' }, action: 'submit', itemId: item.id, after: item });
+            return [201, { success:true, id:item.id, trackingToken: tracking.token }];
+          });
+        } catch (e) {
+          res.writeHead(500).end(JSON.stringify({ error:'Server error' }));
+        }
+        return;
+      }
+
+      // PUBLIC SUBMISSION TRACKING (the token is the credential)
+      const trackMatch = url.pathname.match(/^\/api\/submissions\/([^/]+)$/);
+      if (trackMatch && (method === 'GET' || method === 'PUT')) {
+        try {
+          if (method === 'PUT' && !allowSubmit(clientIp(req))) { res.writeHead(429).end(JSON.stringify({ error: 'Too many submissions. Try later.' })); return; }
+          const token = safeDecode(trackMatch[1]);
+          if (method === 'GET') {
+            // a merged submission reads as the item it was folded into; only its own token can resubmit
+            const item = moderation.findByToken((await readDB()).items, token, { merged: true });
+            if (!item) { res.writeHead(404).end(JSON.stringify({ error: 'Submission not found' })); return; }
+            res.writeHead(200).end(JSON.stringify(moderation.publicView(item)));
+            return;
           }
 
+          // resubmit an edited version against the same token
+          const body = await parseBody(req, 2_500_000);
+          await respondAfter(res, async db => {
+            const idx = db.items.indexOf(moderation.findByToken(db.items, token));
+            if (idx < 0) return [404, { error: 'Submission not found' }];
+            const before = db.items[idx];
+            if (!moderation.RESUBMITTABLE.includes(before.status)) return [409, { error: 'This submission can no longer be changed.' }];
+            const { value, errors } = itemModel.validateItem(body, { fields: itemModel.SUBMIT_FIELDS, categories: db.categories });
+            if (errors) return invalid(errors);
+            if (duplicates.findExact(db.items, value.url, { self: before })) {
+              return [409, {
+                error: 'Another submission or listing already uses this GPT link.',
+                fields: { url: 'Duplicate of an existing GPT' }
+              }];
+            }
+            const iconErrors = await ingestIcon(value);
+            if (iconErrors) return invalid(iconErrors);
+            const item = moderation.transition({ ...before, ...itemModel.withDefaults(value), featured: false, status: before.status }, 'resubmit');
+            delete item.possibleDuplicates;
+            const near = duplicates.findNear(db.items, item);
+            if (near.length) item.possibleDuplicates = near;
+            db.items[idx] = item;
+            audit.record(db, { actor: { user: 'submitter' }, action: 'resubmit', itemId: item.id, before, after: item });
+            return [200, moderation.publicView(item)];
+          });
+        } catch (e) {
+          res.writeHead(500).end(JSON.stringify({ error:'Server error' }));
+        }
+        return;
+      }
+
+      // VISITOR LIST: this browser's favorites (live items only) and its ratings
+      if (url.pathname === '/api/favorites' && method === 'GET') {
+        try {
+          const visitor = visitorFor(req, res);
+          const db = await readDB();
+          const stats = getRatingStats(db);
+          const mine = ratings.visitorState(votesView(db), visitor);
+          const items = mine.favorites
+            .map(id => db.items.find(i => i.id === id && i.status === 'live'))
+            .filter(Boolean)
+            .map(i => publicItem(i, stats));
+          res.writeHead(200).end(JSON.stringify({ items, favorites: mine.favorites, ratings: mine.ratings }));
+        } catch (e) {
+          res.writeHead(500).end(JSON.stringify({ error:'Server error' }));
+        }
+        return;
+      }
+
+      // VISITOR RATING / FAVORITE of a live item: PUT { stars } or { favorite }
+      const voteMatch = url.pathname.match(/^\/api\/gpts\/([^/]+)\/(rating|favorite)$/);
+      if (voteMatch && method === 'PUT') {
+        try {
+          const visitor = visitorFor(req, res);
+          const ip = clientIp(req);
+          if (!allowVote(ip, visitor)) { res.writeHead(429).end(JSON.stringify({ error: 'Too many votes. Try later.' })); return; }
+          const itemId = safeDecode(voteMatch[1]);
+          const body = await parseBody(req);
           const db = await readDB();
-          const item = {
-            id: uuidv4(),
-            title, url: urlStr, icon, desc,
-            categories, tags,
-            featured: false,
-            status: 'pending',
-            createdAt: Date.now(),
-            submittedBy: ip
-          };
-          db.items.push(item);
-          await writeDB(db);
-          res.writeHead(201).end(JSON.stringify({ success:true, id:item.id }));
+          if (!db.items.some(i => i.id === itemId && i.status === 'live')) { res.writeHead(404).end(JSON.stringify({ error: 'Item not found' })); return; }
+          let vote, mine;
+          if (voteMatch[2] === 'rating') {
+            const { value, errors } = ratings.validateRating(body);
+            if (errors) { res.writeHead(400).end(JSON.stringify(invalid(errors)[1])); return; }
+            vote = { kind: 'rating', stars: value.stars, ip: visitorIds.ipKey(ip) };
+            mine = { stars: value.stars };
+          } else {
+            const favorite = body && body.favorite;
+            if (typeof favorite !== 'boolean') { res.writeHead(400).end(JSON.stringify(invalid({ favorite: 'Must be true or false' })[1])); return; }
+            vote = { kind: 'favorite', favorite };
+            mine = { favorite };
+          }
+          voteBuffer.add({ ...vote, itemId, visitor });
+          ratingStats = null;
+          scheduleVoteFlush();
+          res.writeHead(200).end(JSON.stringify({ id: itemId, ...mine, ...ratingOf(getRatingStats(db), itemId) }));
         } catch (e) {
           res.writeHead(500).end(JSON.stringify({ error:'Server error' }));
         }
         return;
       }
 
+      // PUBLIC CATEGORIES (no auth) with live item counts
+      if (url.pathname === '/api/categories' && method === 'GET') {
+        const db = await readDB();
+        const counts = taxonomy.liveCounts(db.items);
+        const list = taxonomy.sortCategories(db.categories).map(c => ({ ...c, count: counts.get(c.name) || 0 }));
+        res.writeHead(200).end(JSON.stringify({ categories: list }));
+        return;
+      }
+
+      // PUBLIC COLLECTIONS (no auth): live collections with their live items in curated order
+      if ((url.pathname === '/api/collections' || url.pathname.startsWith('/api/collections/')) && method === 'GET') {
+        const db = await readDB();
+        const stats = getRatingStats(db);
+        const view = c => {
+          const v = collections.publicView(c, db.items);
+          return { ...v, items: v.items.map(i => publicItem(i, stats)) };
+        };
+        if (url.pathname === '/api/collections') {
+          const list = collections.sortCollections(db.collections.filter(c => c.status === 'live')).map(view).filter(c => c.items.length);
+          res.writeHead(200).end(JSON.stringify({ collections: list }));
+          return;
+        }
+        const found = collections.findLiveBySlug(db.collections, safeDecode(url.pathname.slice('/api/collections/'.length)));
+        if (!found) { res.writeHead(404).end(JSON.stringify({ error: 'Collection not found' })); return; }
+        res.writeHead(200).end(JSON.stringify(view(found)));
+        return;
+      }
+
       // AUTH (cookie or bearer) for admin routes
-      const authHeader = req.headers['authorization'];
-      const bearer = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-      const cookieHeader = req.headers.cookie || '';
-      const cookieTok = cookieHeader.split(';').map(s => s.trim())
-        .map(kv => kv.split('='))
-        .reduce((acc,[k,v]) => (k==='session' ? decodeURIComponent(v||'') : acc), null);
-      const user = verifyTokenValue(bearer || cookieTok);
-      if (!user) { res.writeHead(401).end(JSON.stringify({ error: 'Unauthorized' })); return; }
+      const token = sessionToken(req);
+      const current = await authStore.getSession(token);
+      if (!current) { res.writeHead(401).end(JSON.stringify({ error: 'Unauthorized' })); return; }
+      if (current.rotated) {
+        // old token stays valid for a short grace period; clients pick up the new one
+        res.setHeader('Set-Cookie', sessionCookie(current.token, authStore.SESSION_TTL_MS / 1000));
+        res.setHeader('X-Session-Token', current.token);
+      }
+      const user = current.user;
+      const permission = requiredPermission(url.pathname, method);
+      if (permission && !auth.can(user.role, permission)) {
+        res.writeHead(403).end(JSON.stringify({ error: 'Your role does not allow this' }));
+        return;
+      }
+
+      if (url.pathname === '/api/me' && method === 'GET') {
+        res.writeHead(200).end(JSON.stringify({ username: user.username, role: user.role }));
+        return;
+      }
+
+      if (url.pathname === '/api/users' && method === 'GET') {
+        res.writeHead(200).end(JSON.stringify({ users: await authStore.listUsers(), roles: auth.ROLES }));
+        return;
+      }
 
       // Mutating / admin routes
       const db = await readDB();
+      const actor = { user: user.username, session: audit.sessionRef(current.token) };
+      // audit helpers for the transaction's draft document
+      const logItem = (db, action, before, after, extra = {}) =>
+        audit.record(db, { actor, action, itemId: (after || before).id, before, after, ...extra });
+      const logCategoryEdits = (db, action, touched, note) =>
+        touched.forEach(({ item, before }) => logItem(db, action, before, item, { note }));
 
       if (url.pathname === '/api/gpts/all' && method === 'GET') {
-        res.writeHead(200).end(JSON.stringify(db));
+        const ratingsById = Object.fromEntries(getRatingStats(db));
+        res.writeHead(200).end(JSON.stringify({ settings: db.settings, items: db.items, categories: db.categories, collections: db.collections, ratings: ratingsById }));
+        return;
+      }
+
+      if (url.pathname === '/api/audit' && method === 'GET') {
+        const limit = Math.min(500, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 100));
+        const offset = Math.max(0, parseInt(url.searchParams.get('offset'), 10) || 0);
+        const result = audit.list(db, {
+          itemId: url.searchParams.get('itemId') || '',
+          action: url.searchParams.get('action') || '',
+          limit, offset,
+        });
+        res.writeHead(200).end(JSON.stringify(result));
+        return;
+      }
+
+      // EXPORT: streams all items (or a filtered subset) as JSON or CSV
+      if (url.pathname === '/api/gpts/export' && method === 'GET') {
+        const format = (url.searchParams.get('format') || 'json').toLowerCase();
+        if (!transfer.FORMATS.includes(format)) { res.writeHead(400).end(JSON.stringify({ error: 'Format must be json or csv' })); return; }
+        const items = transfer.filterItems(db.items, url.searchParams);
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.writeHead(200, {
+          'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+          'Content-Disposition': `attachment; filename="gptmart-export-${stamp}.${format}"`,
+        });
+        try {
+          if (format === 'csv') {
+            await writeChunk(res, transfer.csvHeader());
+            for (const item of items) await writeChunk(res, transfer.itemToCsvLine(item));
+          } else {
+            await writeChunk(res, '[');
+            for (let i = 0; i < items.length; i++) {
+              await writeChunk(res, (i ? ',\n' : '\n') + JSON.stringify(transfer.itemToJson(items[i])));
+            }
+            await writeChunk(res, '\n]\n');
+          }
+          res.end();
+        } catch {
+          res.destroy(); // client aborted mid-export; drop the rest
+        }
+        return;
+      }
+
+      // IMPORT: JSON or CSV; ?dryRun=1 reports what would happen without writing
+      if (url.pathname === '/api/gpts/import' && method === 'POST') {
+        const ct = (req.headers['content-type'] || '').toLowerCase();
+        const format = (url.searchParams.get('format') || (ct.includes('csv') ? 'csv' : 'json')).toLowerCase();
+        if (!transfer.FORMATS.includes(format)) { res.writeHead(400).end(JSON.stringify({ error: 'Format must be json or csv' })); return; }
+        const dryRun = ['1', 'true', 'yes'].includes((url.searchParams.get('dryRun') || '').toLowerCase());
+
+        let records;
+        try {
+          records = transfer.parseImport(await readRawBody(req, 25_000_000), format);
+        } catch (e) {
+          const tooLarge = e.message === 'Payload too large';
+          res.writeHead(tooLarge ? 413 : 400).end(JSON.stringify({ error: tooLarge ? e.message : `Could not read import: ${e.message}` }));
+          return;
+        }
+
+        await respondAfter(res, async db => {
+          const plan = transfer.planImport(db, records);
+          for (const row of plan) {
+            if (row.action !== 'create' && row.action !== 'update') continue;
+            const iconErrors = await ingestIcon(row.value, { dryRun });
+            if (iconErrors) Object.assign(row, { action: 'error', errors: iconErrors });
+          }
+          // a dry run leaves the draft untouched, so nothing is written
+          if (!dryRun) {
+            for (const row of plan) {
+              if (row.action === 'create') {
+                const newItem = { id: uuidv4(), createdAt: Date.now(), ...itemModel.withDefaults(row.value) };
+                db.items.unshift(newItem);
+                logItem(db, 'import.create', null, newItem);
+                row.itemId = newItem.id;
+              } else if (row.action === 'update') {
+                const idx = db.items.findIndex(i => i.id === row.itemId);
+                const before = db.items[idx];
+                db.items[idx] = { ...before, ...row.value };
+                logItem(db, 'import.update', before, db.items[idx]);
+              }
+            }
+          }
+          const rows = plan.map(({ value, ...rest }) => rest);
+          return [200, { dryRun, summary: transfer.summarize(plan), rows }];
+        });
+        return;
+      }
+
+      // click stats: daily series per item and week-over-week movers
+      if (url.pathname === '/api/stats' && method === 'GET') {
+        await flushClicks();
+        const days = Math.min(90, Math.max(7, parseInt(url.searchParams.get('days'), 10) || 30));
+        res.writeHead(200).end(JSON.stringify(clicks.report(await readDB(), { days })));
+        return;
+      }
+
+      if (url.pathname === '/api/assets/gc' && method === 'POST') {
+        const removed = await collectAssets();
+        res.writeHead(200).end(JSON.stringify({ removed }));
+        return;
+      }
+
+      if (url.pathname === '/api/moderation/reasons' && method === 'GET') {
+        res.writeHead(200).end(JSON.stringify({ reasons: moderation.REASONS }));
+        return;
+      }
+
+      // /api/gpts/:id/history
+      const historyMatch = url.pathname.match(/^\/api\/gpts\/([^/]+)\/history$/);
+      if (historyMatch && method === 'GET') {
+        const itemId = safeDecode(historyMatch[1]);
+        const result = audit.list(db, { itemId, limit: audit.AUDIT_LIMIT });
+        res.writeHead(200).end(JSON.stringify({ item: db.items.find(i => i.id === itemId) || null, ...result }));
+        return;
+      }
+
+      // /api/gpts/:id/ratings: individual votes, for spotting abuse
+      const ratingsMatch = url.pathname.match(/^\/api\/gpts\/([^/]+)\/ratings$/);
+      if (ratingsMatch && method === 'GET') {
+        const itemId = safeDecode(ratingsMatch[1]);
+        const votes = ratings.votesFor(votesView(db), itemId);
+        res.writeHead(200).end(JSON.stringify({ ...ratingOf(getRatingStats(db), itemId), votes }));
         return;
       }
 
       let body = '';
       req.on('data', chunk => (body += chunk.toString()));
       req.on('end', async () => {
+        let payload;
+        try { payload = JSON.parse(body || '{}'); }
+        catch { res.writeHead(400).end(JSON.stringify({ error: 'Invalid JSON body' })); return; }
+        // every route below reads fields off the payload, so null, arrays and scalars stop here
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+          res.writeHead(400).end(JSON.stringify(invalid({ _: 'Expected a JSON object' })[1]));
+          return;
+        }
         try {
-          if (url.pathname === '/api/gpts/create' && method === 'POST') {
-            const newItem = JSON.parse(body || '{}');
-            newItem.id = uuidv4();
-            newItem.createdAt = Date.now();
-            db.items.unshift(newItem);
-            await writeDB(db);
-            res.writeHead(201).end(JSON.stringify(newItem));
-          } else if (url.pathname.startsWith('/api/gpts/update/') && method === 'PUT') {
-            const id = path.basename(url.pathname);
-            const updatedData = JSON.parse(body || '{}');
-            const idx = db.items.findIndex(i => i.id === id);
-            if (idx > -1) {
-              db.items[idx] = { ...db.items[idx], ...updatedData };
-              await writeDB(db);
-              res.writeHead(200).end(JSON.stringify(db.items[idx]));
-            } else {
-              res.writeHead(404).end(JSON.stringify({ error: 'Item not found' }));
-            }
-          } else if (url.pathname.startsWith('/api/gpts/delete/') && method === 'DELETE') {
-            const id = path.basename(url.pathname);
-            const initial = db.items.length;
-            db.items = db.items.filter(i => i.id !== id);
-            if (db.items.length < initial) {
-              await writeDB(db);
-              res.writeHead(204).end();
+          // vote moderation works on the stored votes, so write out the buffered ones first
+          if (/^\/api\/gpts\/[^/]+\/ratings$/.test(url.pathname) || url.pathname === '/api/ratings/remove') await flushVotes();
+          await respondAfter(res, async db => {
+            if (url.pathname === '/api/gpts/create' && method === 'POST') {
+              const { value, errors } = itemModel.validateItem(payload, { categories: db.categories });
+              if (errors) return invalid(errors);
+              const iconErrors = await ingestIcon(value);
+              if (iconErrors) return invalid(iconErrors);
+              const newItem = { id: uuidv4(), createdAt: Date.now(), ...itemModel.withDefaults(value) };
+              db.items.unshift(newItem);
+              logItem(db, 'create', null, newItem);
+              return [201, newItem];
+            } else if (url.pathname.startsWith('/api/gpts/update/') && method === 'PUT') {
+              const id = path.basename(url.pathname);
+              const idx = db.items.findIndex(i => i.id === id);
+              if (idx > -1) {
+                // moderators may only change status (hide / unhide; submissions go through /moderate)
+                const statusOnly = payload && typeof payload === 'object' && Object.keys(payload).every(k => k === 'status');
+                if (!auth.can(user.role, 'items:edit') && !statusOnly) {
+                  return [403, { error: 'Your role can only change item status' }];
+                }
+                const { value, errors } = itemModel.validateItem(payload, { existing: db.items[idx], categories: db.categories });
+                if (errors) return invalid(errors);
+                const statusError = moderation.statusEditError(db.items[idx].status, value.status);
+                if (statusError) return invalid({ status: statusError });
+                const iconErrors = await ingestIcon(value);
+                if (iconErrors) return invalid(iconErrors);
+                const before = db.items[idx];
+                db.items[idx] = { ...before, ...value };
+                logItem(db, audit.itemAction(before, db.items[idx]), before, db.items[idx]);
+                return [200, db.items[idx]];
+              } else {
+                return [404, { error: 'Item not found' }];
+              }
+            } else if (url.pathname.startsWith('/api/gpts/delete/') && method === 'DELETE') {
+              const id = path.basename(url.pathname);
+              const existing = db.items.find(i => i.id === id);
+              if (existing) {
+                db.items = db.items.filter(i => i !== existing);
+                logItem(db, 'delete', existing, null);
+                return [204];
+              } else {
+                return [404, { error: 'Item not found' }];
+              }
+            } else if (/^\/api\/gpts\/[^/]+\/restore$/.test(url.pathname) && method === 'POST') {
+              // revert to any earlier revision ({ previous: true }: to the state just before it), or bring a deleted item back
+              const id = safeDecode(url.pathname.split('/')[3]);
+              const previous = payload.previous === true;
+              const rev = audit.findRevision(db, id, String(payload.revision || ''), { previous });
+              if (!rev) return [404, { error: 'Revision not found' }];
+              const idx = db.items.findIndex(i => i.id === id);
+              const before = idx > -1 ? db.items[idx] : null;
+              const restored = { ...JSON.parse(JSON.stringify(rev.snapshot)), id };
+              // keep the public URL stable; a slug taken meanwhile is reassigned on write
+              if (before && before.slug) restored.slug = before.slug;
+              else if (db.items.some(i => i.slug === restored.slug)) delete restored.slug;
+              // categories may have been renamed/merged/deleted since that revision
+              restored.categories = taxonomy.resolveCategories(db.categories, restored.categories || []).names;
+              if (idx > -1) db.items[idx] = restored; else db.items.unshift(restored);
+              logItem(db, 'restore', before, restored, { note: `${previous ? 'before ' : ''}revision ${rev.id}` });
+              return [200, restored];
+            } else if (/^\/api\/gpts\/[^/]+\/moderate$/.test(url.pathname) && method === 'POST') {
+              // { action: approve | reject | request_changes, reason?, note? } on a submission
+              const id = safeDecode(url.pathname.split('/')[3]);
+              const idx = db.items.findIndex(i => i.id === id);
+              if (idx < 0) return [404, { error: 'Item not found' }];
+              const { value, errors } = moderation.validateDecision(payload);
+              if (errors) return invalid(errors);
+              const before = db.items[idx];
+              let updated;
+              try { updated = moderation.transition(before, value.action, { reason: value.reason, note: value.note, by: user.username }); }
+              catch (e) { return [409, { error: e.message }]; }
+              db.items[idx] = updated;
+              logItem(db, value.action, before, updated, { note: value.reason ? moderation.REASONS[value.reason] : null });
+              return [200, updated];
+            } else if (/^\/api\/gpts\/[^/]+\/merge$/.test(url.pathname) && method === 'POST') {
+              // fold a (usually pending) duplicate into an existing item, then drop it
+              const id = safeDecode(url.pathname.split('/')[3]);
+              const source = db.items.find(i => i.id === id);
+              const targetIdx = db.items.findIndex(i => i.id === String(payload.into || ''));
+              if (!source) return [404, { error: 'Item not found' }];
+              if (targetIdx < 0 || db.items[targetIdx] === source) return invalid({ into: 'Choose a different existing item to merge into' });
+              const before = db.items[targetIdx];
+              const merged = duplicates.mergeInto(before, source);
+              db.items[targetIdx] = merged;
+              db.items = db.items.filter(i => i !== source);
+              logItem(db, 'merge', before, merged, { note: `merged ${source.id}` });
+              logItem(db, 'delete', source, null, { note: `merged into ${before.id}` });
+              return [200, merged];
+            } else if (url.pathname === '/api/categories' && method === 'POST') {
+              const { value, errors } = taxonomy.validateCategory(payload, db.categories);
+              if (errors) return invalid(errors);
+              db.categories.push(value);
+              audit.record(db, { actor, action: 'category.create', category: value.slug, after: value });
+              return [201, value];
+            } else if (url.pathname.startsWith('/api/categories/')) {
+              // /api/categories/:slug (PUT rename/edit, DELETE) and /api/categories/:slug/merge (POST)
+              const [slug, action] = url.pathname.slice('/api/categories/'.length).split('/');
+              const cat = taxonomy.findBySlug(db.categories, safeDecode(slug));
+              if (!cat) return [404, { error: 'Category not found' }];
+
+              if (!action && method === 'PUT') {
+                const { value, errors } = taxonomy.validateCategory(payload, db.categories, { existing: cat });
+                if (errors) return invalid(errors);
+                const before = { ...cat };
+                Object.assign(cat, value);
+                const touched = cat.name !== before.name ? taxonomy.replaceInItems(db.items, before.name, cat.name) : [];
+                audit.record(db, { actor, action: 'category.update', category: before.slug, before, after: cat });
+                logCategoryEdits(db, 'category.rename', touched, `${before.name} → ${cat.name}`);
+                return [200, { category: cat, itemsUpdated: touched.length }];
+              } else if (action === 'merge' && method === 'POST') {
+                const target = taxonomy.findBySlug(db.categories, String(payload.into || ''));
+                if (!target || target === cat) return invalid({ into: 'Choose a different existing category to merge into' });
+                const touched = taxonomy.replaceInItems(db.items, cat.name, target.name);
+                db.categories = db.categories.filter(c => c !== cat);
+                audit.record(db, { actor, action: 'category.merge', category: cat.slug, before: cat, note: `into ${target.slug}` });
+                logCategoryEdits(db, 'category.merge', touched, `${cat.name} → ${target.name}`);
+                return [200, { category: target, itemsUpdated: touched.length }];
+              } else if (!action && method === 'DELETE') {
+                const touched = taxonomy.replaceInItems(db.items, cat.name, null);
+                db.categories = db.categories.filter(c => c !== cat);
+                audit.record(db, { actor, action: 'category.delete', category: cat.slug, before: cat });
+                logCategoryEdits(db, 'category.delete', touched, `removed ${cat.name}`);
+                return [200, { success: true, itemsUpdated: touched.length }];
+              } else {
+                return [404, { error: 'API route not found' }];
+              }
+            } else if (/^\/api\/gpts\/[^/]+\/ratings$/.test(url.pathname) && method === 'DELETE') {
+              // reset every rating of one item
+              const id = safeDecode(url.pathname.split('/')[3]);
+              const item = db.items.find(i => i.id === id);
+              if (!item) return [404, { error: 'Item not found' }];
+              const removed = ratings.removeVotes(db, { itemId: id });
+              logItem(db, 'ratings.reset', item, item, { note: `${removed.length} rating(s) removed` });
+              return [200, { removed: removed.length }];
+            } else if (url.pathname === '/api/ratings/remove' && method === 'POST') {
+              // { ids } drops single votes; { visitor } or { ip } drops everything from that source
+              const ids = Array.isArray(payload.ids) ? payload.ids.map(String) : null;
+              const visitor = typeof payload.visitor === 'string' ? payload.visitor : '';
+              const ip = typeof payload.ip === 'string' ? payload.ip : '';
+              if (!(ids && ids.length) && !visitor && !ip) return invalid({ ids: 'Choose the votes, visitor or ip to remove' });
+              const removed = ratings.removeVotes(db, { ids: ids && ids.length ? ids : null, visitor, ip });
+              const source = visitor ? `visitor ${visitor}` : ip ? `ip ${ip}` : 'selected votes';
+              audit.record(db, { actor, action: 'ratings.remove', note: `${removed.length} rating(s) from ${source}` });
+              return [200, { removed: removed.length }];
+            } else if (url.pathname === '/api/collections' && method === 'POST') {
+              const { value, errors } = collections.validateCollection(payload, db.collections, { items: db.items });
+              if (errors) return invalid(errors);
+              const coverErrors = await ingestIcon(value, { field: 'cover' });
+              if (coverErrors) return invalid(coverErrors);
+              const created = { id: uuidv4(), createdAt: Date.now(), ...value };
+              db.collections.push(created);
+              audit.record(db, { actor, action: 'collection.create', after: created });
+              return [201, created];
+            } else if (url.pathname.startsWith('/api/collections/') && (method === 'PUT' || method === 'DELETE')) {
+              // /api/collections/:id (by id, so renaming the slug is just another edit)
+              const idx = db.collections.indexOf(collections.findById(db.collections, safeDecode(url.pathname.slice('/api/collections/'.length))));
+              if (idx < 0) return [404, { error: 'Collection not found' }];
+              const before = db.collections[idx];
+              if (method === 'DELETE') {
+                db.collections.splice(idx, 1);
+                audit.record(db, { actor, action: 'collection.delete', before });
+                return [204];
+              }
+              const { value, errors } = collections.validateCollection(payload, db.collections, { existing: before, items: db.items });
+              if (errors) return invalid(errors);
+              const coverErrors = await ingestIcon(value, { field: 'cover' });
+              if (coverErrors) return invalid(coverErrors);
+              db.collections[idx] = { ...before, ...value };
+              audit.record(db, { actor, action: 'collection.update', before, after: db.collections[idx] });
+              return [200, db.collections[idx]];
+            } else if (url.pathname === '/api/users' && method === 'POST') {
+              const { user: created, errors } = await authStore.createUser(payload);
+              if (errors) return invalid(errors);
+              audit.record(db, { actor, action: 'user.create', note: `${created.username} (${created.role})` });
+              return [201, created];
+            } else if (url.pathname.startsWith('/api/users/') && (method === 'PUT' || method === 'DELETE')) {
+              const username = safeDecode(url.pathname.slice('/api/users/'.length));
+              const result = method === 'PUT' ? await authStore.updateUser(username, payload) : await authStore.deleteUser(username);
+              if (result.notFound) return [404, { error: 'User not found' }];
+              if (result.errors) return invalid(result.errors);
+              const what = method === 'DELETE' ? 'removed' : [payload.role && `role ${payload.role}`, payload.password !== undefined && 'password reset'].filter(Boolean).join(', ');
+              audit.record(db, { actor, action: method === 'PUT' ? 'user.update' : 'user.delete', note: `${username}: ${what}` });
+              return [200, result.user];
             } else {
-              res.writeHead(404).end(JSON.stringify({ error: 'Item not found' }));
+              return [404, { error: 'API route not found' }];
             }
-          } else {
-            res.writeHead(404).end(JSON.stringify({ error: 'API route not found' }));
-          }
+          });
         } catch {
           res.writeHead(500).end(JSON.stringify({ error: 'Server error' }));
         }
@@ -343,6 +1140,25 @@ async function startServer() {
       return;
     }
 
+    // Content-addressed assets: the name is the content hash, so cache forever
+    if (url.pathname.startsWith('/assets/') && (method === 'GET' || method === 'HEAD')) {
+      const asset = assetStore.resolve(url.pathname.slice('/assets/'.length));
+      try {
+        if (!asset) throw new Error('Not an asset');
+        const data = await fs.readFile(asset.file);
+        const etag = `"${asset.hash}"`;
+        res.setHeader('Content-Type', asset.type);
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        res.setHeader('ETag', etag);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (req.headers['if-none-match'] === etag) { res.writeHead(304).end(); return; }
+        res.writeHead(200).end(method === 'HEAD' ? undefined : data);
+      } catch {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+      }
+      return;
+    }
+
     // Static files
     try {
       const filePath = path.join(__dirname, url.pathname === '/' ? 'index.html' : url.pathname);
@@ -359,11 +1175,41 @@ async function startServer() {
     } catch {
       res.writeHead(404).end('<h1>404 Not Found</h1>');
     }
+  }
+
+  // anything a route didn't handle itself (storage read/save failures, …) is a 500, never a crash
+  const server = http.createServer(async (req, res) => {
+    try {
+      await handleRequest(req, res);
+    } catch (err) {
+      console.error(`${req.method} ${req.url} failed:`, err);
+      if (res.headersSent) res.destroy();
+      else res.writeHead(500, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Server error' }));
+    }
   });
 
+  const owner = await authStore.ensureOwner({ username: ADMIN_USER, password: ADMIN_PASSWORD });
+  if (owner) {
+    console.log(`👤 Created owner account "${ADMIN_USER}"`);
+    if (owner.generatedPassword) console.warn(`⚠️  Generated password: ${owner.generatedPassword} (shown once; change it from the admin Users panel)`);
+  }
+
   server.listen(PORT, () => {
     console.log(`✅ Server running at http://localhost:${PORT}/`);
+    collectAssets().catch(err => console.error('Asset GC failed:', err));
+    runSchedule().catch(err => console.error('Schedule sweep failed:', err));
   });
+  // don't lose buffered clicks, votes or pending writes on shutdown
+  for (const sig of ['SIGTERM', 'SIGINT']) {
+    process.once(sig, () => {
+      flushClicks().catch(err => console.error('Click flush failed:', err))
+        .then(() => flushVotes()).catch(err => console.error('Vote flush failed:', err))
+        .then(() => store.close()).catch(err => console.error('Storage close failed:', err))
+        .finally(() => process.exit(0));
+    });
+  }
+  setInterval(() => collectAssets().catch(err => console.error('Asset GC failed:', err)), 24 * 3600 * 1000).unref();
+  setInterval(() => runSchedule().catch(err => console.error('Schedule sweep failed:', err)), SCHEDULE_SWEEP_MS).unref();
 }
 
 startServer().catch(err => console.error('Failed to start server:', err));